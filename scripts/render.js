@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { MediaProcessorFactory } from '../src/media/MediaProcessorFactory.js';
+import { KeyTemplate } from '../src/storage/KeyTemplate.js';
+import { logger } from '../src/logger.js';
+
+dotenv.config();
+
+/**
+ * Render a single loop locally, without a job queue
+ * Runs the same MediaOrchestrator.processMedia pipeline as the worker
+ * Usage: node scripts/render.js --video <path|url> --audio <path|url> --duration <minutes> [options]
+ */
+
+const USAGE = `Usage: node scripts/render.js --video <path|url> --audio <path|url> --duration <minutes> [options]
+
+Options:
+  --video <path|url>     Source video: local file, http(s) URL, share link, s3:// or supabase:// URI
+  --audio <path|url>     Soundtrack: local file, http(s) URL, share link, s3:// or supabase:// URI
+  --duration <minutes>   Length of the rendered loop in minutes
+  --preset <name>        Compression preset (default: COMPRESSION_PRESET or youtube-1080p)
+  --output <file>        Output file (default: OUTPUT_DIR/render_<uuid>.mp4)
+  --upload               Upload the result to storage instead of keeping it locally
+  --channel-id <id>      Channel id used in the storage key (with --upload)
+  --video-id <id>        Video id used in the storage key (with --upload)
+  --keep-local           Keep the local output after --upload
+  --key-template <tpl>   Storage key template for --upload (default: STORAGE_KEY_TEMPLATE)
+  --dry-run              Print the FFmpeg commands without running them
+  --json                 Print newline-delimited JSON events instead of logs
+  --help                 Show this message`;
+
+const OPTIONS = {
+  video: { type: 'string' },
+  audio: { type: 'string' },
+  duration: { type: 'string' },
+  preset: { type: 'string' },
+  output: { type: 'string' },
+  upload: { type: 'boolean', default: false },
+  'channel-id': { type: 'string' },
+  'video-id': { type: 'string' },
+  'keep-local': { type: 'boolean', default: false },
+  'key-template': { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', default: false }
+};
+
+function parseOptions() {
+  const { values } = parseArgs({ options: OPTIONS });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const missing = ['video', 'audio', 'duration'].filter(name => !values[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required option(s): ${missing.map(name => `--${name}`).join(', ')}`);
+  }
+
+  const duration = parseFloat(values.duration);
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error(`--duration must be a positive number of minutes, got "${values.duration}"`);
+  }
+
+  const preset = values.preset || process.env.COMPRESSION_PRESET || 'youtube-1080p';
+  const presets = MediaProcessorFactory.getCompressionPresets();
+  if (!presets[preset]) {
+    throw new Error(`Unknown preset "${preset}". Available: ${Object.keys(presets).join(', ')}`);
+  }
+
+  if (values.upload && (!values['channel-id'] || !values['video-id'])) {
+    throw new Error('--upload requires --channel-id and --video-id');
+  }
+
+  if (values['key-template']) {
+    KeyTemplate.validate(values['key-template']);
+  }
+
+  // Local inputs are read in place, so file:// URLs become plain paths
+  for (const input of ['video', 'audio']) {
+    if (/^file:/i.test(values[input])) {
+      values[input] = fileURLToPath(values[input]);
+    }
+  }
+
+  return { ...values, duration, preset };
+}
+
+function isUrl(input) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(input) && !/^file:/i.test(input);
+}
+
+/**
+ * Inputs FFmpeg can't read itself; a dry run still hands plain http(s) URLs straight to ffprobe/FFmpeg
+ */
+function needsDownload(input, dryRun) {
+  return isUrl(input) && !(dryRun && /^https?:\/\//i.test(input));
+}
+
+/**
+ * The CLI never touches the job queue and only needs a storage backend for --upload;
+ * pin both before anything loads the service configuration, which would otherwise
+ * demand Supabase and B2 credentials just to download an input
+ */
+function pinBackends(options) {
+  process.env.JOB_BACKEND = 'file';
+  if (!options.upload) {
+    process.env.STORAGE_BACKEND = 'local';
+  }
+}
+
+/**
+ * Writes progress and results either as human-readable lines or as JSON events on stdout
+ */
+class Reporter {
+  constructor(json) {
+    this.json = json;
+    this.lastPercent = {};
+  }
+
+  emit(event, data) {
+    if (this.json) {
+      process.stdout.write(`${JSON.stringify({ event, ...data })}\n`);
+    }
+  }
+
+  command(label, commandLine) {
+    if (this.json) {
+      this.emit('command', { label, command: commandLine });
+    } else {
+      console.log(`\n# ${label}\n${commandLine}`);
+    }
+  }
+
+  progress(step, fraction) {
+    // Every percent in JSON, every 5% for people
+    const granularity = this.json ? 1 : 5;
+    const percent = Math.min(100, Math.floor(fraction * 100 / granularity) * granularity);
+    if (percent === this.lastPercent[step]) return;
+    this.lastPercent[step] = percent;
+
+    if (this.json) {
+      this.emit('progress', { step, percent });
+    } else {
+      console.log(`⏳ ${step.padEnd(10)} ${String(percent).padStart(3)}%`);
+    }
+  }
+
+  result(result) {
+    if (this.json) {
+      this.emit('result', result);
+      return;
+    }
+
+    console.log('\n🎯 Render Results:');
+    console.log(`├─ Preset: ${result.preset}`);
+    console.log(`├─ Duration: ${result.durationMinutes} minutes`);
+    console.log(`├─ Processing time: ${result.processingSeconds.toFixed(1)}s`);
+    if (result.size) console.log(`├─ Output size: ${(result.size / 1024 / 1024).toFixed(2)}MB`);
+    if (result.resolution) console.log(`├─ Resolution: ${result.resolution}`);
+    if (result.sha256) console.log(`├─ SHA-256: ${result.sha256}`);
+    console.log(`└─ Output: ${result.url || result.outputPath}`);
+  }
+
+  error(error) {
+    if (this.json) {
+      this.emit('error', { message: error.message });
+    } else {
+      console.error(`❌ Render failed: ${error.message}`);
+    }
+  }
+}
+
+async function render(options, reporter) {
+  const outputDir = process.env.OUTPUT_DIR || './output';
+  const tempDir = process.env.TEMP_DIR || './temp';
+  const processor = MediaProcessorFactory.withPreset(options.preset, outputDir, tempDir);
+  const outputPath = options.output || processor.fileManager.generateUniqueFilePath(outputDir, 'render', 'mp4');
+  const startedAt = Date.now();
+
+  let downloader = null;
+  let videoPath = options.video;
+  let audioPath = options.audio;
+  const downloaded = [];
+
+  try {
+    const dryRun = options['dry-run'];
+    if (needsDownload(videoPath, dryRun) || needsDownload(audioPath, dryRun)) {
+      // Loaded lazily: the downloader reads the service configuration (see pinBackends)
+      const { default: MediaDownloader } = await import('../src/downloader.js');
+      downloader = new MediaDownloader(tempDir);
+
+      const download = async (url, type) => {
+        const filePath = type === 'video' ? await downloader.downloadVideo(url) : await downloader.downloadAudio(url);
+        downloaded.push(filePath);
+        return filePath;
+      };
+
+      [videoPath, audioPath] = await Promise.all([
+        needsDownload(videoPath, dryRun) ? download(videoPath, 'video') : videoPath,
+        needsDownload(audioPath, dryRun) ? download(audioPath, 'audio') : audioPath
+      ]);
+    }
+
+    for (const input of [videoPath, audioPath]) {
+      if (!isUrl(input) && !await fs.pathExists(input)) {
+        throw new Error(`Input file not found: ${input}`);
+      }
+    }
+
+    await fs.ensureDir(path.dirname(outputPath));
+
+    const finalPath = await processor.processMedia(videoPath, audioPath, options.duration, outputPath, {
+      dryRun: options['dry-run'],
+      onCommand: (label, commandLine) => reporter.command(label, commandLine),
+      onProgress: (step, fraction) => reporter.progress(step, fraction)
+    });
+
+    const result = {
+      preset: options.preset,
+      durationMinutes: options.duration,
+      dryRun: options['dry-run'],
+      outputPath: finalPath,
+      processingSeconds: (Date.now() - startedAt) / 1000
+    };
+
+    if (options['dry-run']) {
+      return result;
+    }
+
+    const metadata = await processor.getOutputMetadata(finalPath);
+    Object.assign(result, {
+      size: metadata.size,
+      resolution: metadata.resolution,
+      codec: metadata.codec
+    });
+
+    if (options.upload) {
+      const { serviceFactory } = await import('../src/services/ServiceFactory.js');
+      const upload = await serviceFactory.createUploader().uploadAndCleanup(
+        finalPath, options['channel-id'], options['video-id'], options['keep-local'], {
+          preset: options.preset,
+          metadata,
+          job: {
+            id: options['video-id'],
+            channel_id: options['channel-id'],
+            length_minutes: options.duration,
+            output_key_template: options['key-template']
+          }
+        }
+      );
+      Object.assign(result, { key: upload.key, url: upload.url, sha256: upload.checksum });
+    }
+
+    return result;
+  } finally {
+    if (downloader) {
+      await downloader.cleanup(downloaded);
+    }
+  }
+}
+
+async function main() {
+  const json = process.argv.includes('--json');
+  const reporter = new Reporter(json);
+
+  // stdout carries only JSON events in --json mode
+  if (json) {
+    logger.configure({ level: 'silent' });
+  }
+
+  try {
+    const options = parseOptions();
+    pinBackends(options);
+    const result = await render(options, reporter);
+    reporter.result(result);
+    process.exit(0);
+  } catch (error) {
+    if (error.code && error.code.startsWith('ERR_PARSE_ARGS')) {
+      console.error(USAGE);
+    }
+    reporter.error(error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { serviceFactory } from '../src/services/ServiceFactory.js';
+import { logger } from '../src/logger.js';
+
+dotenv.config();
+
+/**
+ * Replay webhook deliveries that ran out of attempts
+ * Usage: node scripts/replay-webhooks.js [delivery-id]
+ * Without an id, every failed delivery in WEBHOOK_DELIVERY_LOG_DIR is replayed
+ */
+
+async function replayWebhooks() {
+  const deliveryId = process.argv[2];
+  const notifier = serviceFactory.createWorkflowNotifier();
+
+  try {
+    if (deliveryId) {
+      const delivered = await notifier.replayDelivery(deliveryId);
+      logger.info(delivered ? `✅ Delivery ${deliveryId} replayed` : `❌ Delivery ${deliveryId} failed again`);
+      process.exit(delivered ? 0 : 1);
+    }
+
+    const summary = await notifier.replayFailedDeliveries();
+    logger.info(`Replayed ${summary.total} deliveries: ${summary.delivered} delivered, ${summary.failed} still failing`);
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error('❌ Webhook replay failed:', error.message);
+    process.exit(1);
+  }
+}
+
+replayWebhooks();
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { serviceFactory } from '../src/services/ServiceFactory.js';
+import { logger } from '../src/logger.js';
+
+dotenv.config();
+
+/**
+ * Create a time-limited GET URL for a rendered video in private storage
+ * Usage: node scripts/sign-url.js <storage-key> [--ttl <seconds>]
+ *        node scripts/sign-url.js --job <id> [--ttl <seconds>]   (job stored with STORAGE_URL_MODE=key)
+ * Prints the signed URL; --json prints { url, key, expiresAt }
+ */
+
+async function signUrl() {
+  // Keep stdout to the URL
+  logger.configure({ level: 'warn' });
+
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      job: { type: 'string' },
+      ttl: { type: 'string' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  let key = positionals[0];
+  const ttl = values.ttl ? parseInt(values.ttl) : undefined;
+
+  try {
+    if (ttl !== undefined && !(ttl > 0)) {
+      throw new Error('--ttl must be a positive number of seconds');
+    }
+
+    if (!key && values.job) {
+      const job = await serviceFactory.createSimpleJobManager().getJobById(values.job);
+      if (!job || !job.final_video_url) {
+        throw new Error(`Job ${values.job} has no output`);
+      }
+      if (/^[a-z][a-z0-9+.-]*:\/\//i.test(job.final_video_url)) {
+        throw new Error(`Job ${values.job} stores a URL, not a storage key`);
+      }
+      key = job.final_video_url;
+    }
+
+    if (!key) {
+      console.log('Usage: node scripts/sign-url.js <storage-key> [--ttl <seconds>] [--json]');
+      console.log('       node scripts/sign-url.js --job <id> [--ttl <seconds>] [--json]');
+      process.exit(1);
+    }
+
+    const signed = await serviceFactory.createUploader().createSignedUrl(key, ttl);
+    console.log(values.json ? JSON.stringify(signed) : signed.url);
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Signing failed:', error.message);
+    process.exit(1);
+  }
+}
+
+signUrl();
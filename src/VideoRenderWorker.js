@@ -1,8 +1,16 @@
-import { logger } from './logger.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from './logger.js';
 import { JobValidator } from './validators/JobValidator.js';
 import { ProgressTracker } from './progress/ProgressTracker.js';
+import { RetryPolicy } from './retry/RetryPolicy.js';
 import { config } from './config/Config.js';
 
+const logger = createLogger('worker');
+
+// Per-job results a daemon keeps in its stats (batch runs keep all of them)
+const DAEMON_RESULTS_KEPT = 100;
+
 /**
  * Refactored VideoRenderWorker - implements Single Responsibility Principle
  * Responsible only for orchestrating the video rendering workflow
@@ -14,14 +22,32 @@ export class VideoRenderWorker {
     this.downloader = dependencies.downloader;
     this.processor = dependencies.processor;
     this.uploader = dependencies.uploader;
+    this.workflowNotifier = dependencies.workflowNotifier || null; // Optional, enables progress webhooks
+    this.metricsCollector = dependencies.metricsCollector || null; // Optional, enables /metrics
+    this.uploadStateStore = dependencies.uploadStateStore || null; // Optional, keeps finished renders for retried uploads
+    this.retryPolicy = dependencies.retryPolicy || new RetryPolicy();
     
     // Specialized components for single responsibilities
     this.validator = new JobValidator(config);
-    this.progressTracker = new ProgressTracker(this.jobManager);
     
     this.config = config;
+
+    // Jobs currently rendering, keyed by job ID: { job, tracker, promise }
+    this.activeJobs = new Map();
+
+    // Daemon/shutdown state
+    this.running = false;
+    this.paused = false;
+    this.stopping = false;
+    this.wakeUp = null;
+    this.claiming = null;
     
     this.validateDependencies();
+
+    if (this.metricsCollector) {
+      this.metricsCollector.attachDownloader(this.downloader);
+      this.metricsCollector.attachUploader(this.uploader);
+    }
   }
 
   /**
@@ -39,9 +65,11 @@ export class VideoRenderWorker {
   }
 
   /**
-   * Start the batch processing workflow
+   * Start the worker in batch or daemon mode
+   * @param {Object} options - Start options
+   * @param {string} options.mode - 'batch' (drain queue and exit) or 'daemon' (poll until stopped)
    */
-  async start() {
+  async start(options = {}) {
     logger.info('Video Render Worker starting...');
     
     // Validate configuration
@@ -49,12 +77,29 @@ export class VideoRenderWorker {
     
     // Check for FFmpeg availability
     await this.checkFFmpegAvailability();
-    
-    // Process all available jobs and exit
-    const stats = await this.processAllJobs();
-    
-    logger.info('All jobs processed. Exiting...');
-    return stats;
+
+    const mode = options.mode || this.config.worker.mode;
+
+    if (mode !== 'daemon' && mode !== 'batch') {
+      throw new Error(`Unknown worker mode: ${mode}. Available: batch, daemon`);
+    }
+
+    this.running = true;
+    try {
+      if (mode === 'daemon') {
+        const stats = await this.runDaemon();
+        logger.info('Daemon stopped. Exiting...');
+        return stats;
+      }
+
+      // Process all available jobs and exit
+      const stats = await this.processAllJobs();
+
+      logger.info('All jobs processed. Exiting...');
+      return stats;
+    } finally {
+      this.running = false;
+    }
   }
 
   /**
@@ -78,66 +123,349 @@ export class VideoRenderWorker {
    * Process all available jobs in batch mode
    */
   async processAllJobs() {
-    let totalProcessed = 0;
-    let totalFailed = 0;
-    const jobResults = [];
-    
     logger.info('Looking for jobs to process...');
     
-    while (true) {
-      try {
-        // Get and claim a job
-        const job = await this.jobManager.getAndClaimJob();
-        
-        if (!job) {
-          logger.info(`No more jobs available. Processed: ${totalProcessed}, Failed: ${totalFailed}`);
+    const stats = await this.runPool({ exitWhenIdle: true });
+    
+    logger.info(`🎉 Batch processing complete! Processed: ${stats.totalProcessed}, Failed: ${stats.totalFailed}`);
+    return stats;
+  }
+
+  /**
+   * Keep polling for jobs until shutdown is requested
+   * Backs off exponentially while the queue is empty and resets once a job is found
+   */
+  async runDaemon() {
+    const { pollInterval, maxIdleInterval } = this.config.worker;
+
+    logger.info(`Daemon mode started (poll interval: ${pollInterval}ms, max idle interval: ${maxIdleInterval}ms)`);
+
+    const stats = await this.runPool({ exitWhenIdle: false });
+
+    logger.info(`Daemon loop finished. Processed: ${stats.totalProcessed}, Failed: ${stats.totalFailed}`);
+    return stats;
+  }
+
+  /**
+   * Claim and render jobs with at most `worker.concurrency` jobs in flight
+   * @param {Object} options - Pool options
+   * @param {boolean} options.exitWhenIdle - Stop claiming once the queue is empty (batch mode)
+   */
+  async runPool({ exitWhenIdle }) {
+    const { concurrency, reaperInterval, workerId } = this.config.worker;
+    // A daemon runs indefinitely, so it only keeps the most recent results
+    const stats = this.createStats(exitWhenIdle ? Infinity : DAEMON_RESULTS_KEPT);
+
+    logger.info(`Worker ${workerId} pool running with concurrency ${concurrency}`);
+
+    // Return jobs abandoned by crashed workers before claiming, then keep reaping periodically
+    await this.reapStaleJobs();
+    const reaperTimer = setInterval(() => this.reapStaleJobs(), reaperInterval);
+
+    // Abort abandoned multipart uploads and drop finished renders nobody came back for
+    await this.cleanupUploads();
+    const uploadCleanupTimer = setInterval(() => this.cleanupUploads(), this.config.upload.cleanupInterval);
+
+    // shutdown() waits for this loop, so no job can be claimed after it returns
+    this.claiming = this.claimJobs(stats, exitWhenIdle);
+    try {
+      await this.claiming;
+    } finally {
+      this.claiming = null;
+      clearInterval(reaperTimer);
+      clearInterval(uploadCleanupTimer);
+    }
+
+    await this.waitForActiveJobs();
+    return this.summarizeStats(stats);
+  }
+
+  /**
+   * Claim jobs and start them in the background until shutdown (or, in batch mode, an empty queue)
+   */
+  async claimJobs(stats, exitWhenIdle) {
+    const { concurrency, pollInterval, maxIdleInterval, idleBackoffFactor } = this.config.worker;
+    let idleDelay = pollInterval;
+
+    while (!this.stopping) {
+      // Wait for a free slot before claiming another job
+      if (this.activeJobs.size >= concurrency) {
+        await this.waitForSlot();
+        continue;
+      }
+
+      // Paused by an operator: keep running jobs going but don't claim new ones
+      if (this.paused) {
+        await this.sleep(pollInterval);
+        continue;
+      }
+
+      const job = await this.claimNextJob(stats);
+
+      if (!job) {
+        if (exitWhenIdle) {
+          logger.info(`No more jobs available. Waiting for ${this.activeJobs.size} running job(s) to finish`);
           break;
         }
 
-        logger.info(`Processing job ${job.id} (${totalProcessed + totalFailed + 1}):`, {
-          id: job.id,
-          channel_id: job.channel_id,
-          input_video_url: job.input_video_url,
-          soundtrack_url: job.soundtrack_url,
-          length_minutes: job.length_minutes,
-          status: job.status
-        });
+        logger.debug(`Queue empty, next poll in ${idleDelay}ms`);
+        await this.sleep(idleDelay);
+        idleDelay = Math.min(Math.round(idleDelay * idleBackoffFactor), maxIdleInterval);
+        continue;
+      }
 
-        try {
-          const result = await this.renderVideo(job);
-          totalProcessed++;
-          jobResults.push({ jobId: job.id, success: true, result });
-          logger.info(`✅ Job ${job.id} completed successfully`);
-        } catch (error) {
-          totalFailed++;
-          jobResults.push({ jobId: job.id, success: false, error: error.message });
-          logger.error(`❌ Job ${job.id} failed:`, error.message);
-        }
+      // Shutdown started while the claim was in flight: hand the job straight back
+      if (this.stopping) {
+        logger.info(`Releasing job ${job.id} claimed during shutdown`);
+        await this.jobManager.releaseJob(job.id, 'shutdown');
+        break;
+      }
+
+      idleDelay = pollInterval;
+      this.startJob(job, stats);
+    }
+  }
+
+  /**
+   * Return jobs with expired leases to the queue
+   */
+  async reapStaleJobs() {
+    try {
+      const reclaimed = await this.jobManager.reclaimStaleJobs();
+      if (reclaimed.length > 0) {
+        logger.info(`Reclaimed ${reclaimed.length} stale job(s): ${reclaimed.join(', ')}`);
+      }
+    } catch (error) {
+      logger.error('Error reaping stale jobs:', error);
+    }
+  }
+
+  /**
+   * Abort orphaned multipart uploads and remove stale finished renders and partial downloads
+   */
+  async cleanupUploads() {
+    const { orphanMaxAge } = this.config.upload;
 
-      } catch (error) {
-        logger.error('Error in job processing:', error);
-        totalFailed++;
-        jobResults.push({ jobId: 'unknown', success: false, error: error.message });
+    try {
+      const aborted = await this.uploader.cleanupOrphanedUploads(orphanMaxAge);
+      const removed = this.uploadStateStore
+        ? await this.uploadStateStore.removeStaleOutputs(orphanMaxAge, [...this.activeJobs.keys()])
+        : 0;
+      const partials = await this.downloader.removeStalePartials(orphanMaxAge);
+
+      if (aborted > 0 || removed > 0 || partials > 0) {
+        logger.info(`Upload cleanup: aborted ${aborted} orphaned multipart upload(s), removed ${removed} stale output(s) and ${partials} partial download(s)`);
       }
+    } catch (error) {
+      logger.error('Error cleaning up uploads:', error);
     }
-    
-    const stats = {
-      totalProcessed,
-      totalFailed,
-      total: totalProcessed + totalFailed,
-      results: jobResults
+  }
+
+  /**
+   * Claim the next available job, recording claim errors in the stats
+   * @returns {Promise<Object|null>} Claimed job or null if none available
+   */
+  async claimNextJob(stats) {
+    try {
+      return await this.jobManager.getAndClaimJob();
+    } catch (error) {
+      logger.error('Error in job processing:', error);
+      stats.totalFailed++;
+      this.recordResult(stats, { jobId: 'unknown', success: false, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Start rendering a claimed job in the background and register it as active
+   */
+  startJob(job, stats) {
+    const tracker = new ProgressTracker(this.jobManager, null, this.workflowNotifier);
+    const abortController = new AbortController();
+    if (this.metricsCollector) {
+      this.metricsCollector.attachTracker(tracker);
+    }
+    const entry = { job, tracker, abortController, promise: null };
+
+    // Keep the lease alive while the job renders
+    const heartbeatTimer = setInterval(() => this.sendHeartbeat(entry), this.config.worker.heartbeatInterval);
+
+    this.activeJobs.set(job.id, entry);
+    // Every log line written while rendering carries the job and channel
+    const context = { jobId: job.id, channelId: job.channel_id };
+    entry.promise = logger.runWithContext(context, () => this.processJob(job, tracker, abortController.signal, stats))
+      .finally(() => {
+        clearInterval(heartbeatTimer);
+        this.activeJobs.delete(job.id);
+      });
+
+    return entry.promise;
+  }
+
+  /**
+   * Refresh the lease of a running job
+   * If another worker reclaimed the job, stop rendering it to avoid duplicate output;
+   * if cancellation was requested on the row, stop rendering and mark it cancelled
+   */
+  async sendHeartbeat(entry) {
+    try {
+      const { leaseHeld, cancelRequested } = await this.jobManager.heartbeat(entry.job.id);
+
+      if (entry.abortController.signal.aborted) {
+        return;
+      }
+
+      if (!leaseHeld) {
+        logger.warn(`Lost lease on job ${entry.job.id}, aborting render`);
+        entry.abortController.abort('lease_lost');
+      } else if (cancelRequested) {
+        logger.warn(`Cancellation requested for job ${entry.job.id}, stopping render`);
+        entry.abortController.abort('cancelled');
+      }
+    } catch (error) {
+      logger.error(`Heartbeat failed for job ${entry.job.id}:`, error);
+    }
+  }
+
+  /**
+   * Render a claimed job and record the outcome in the stats
+   */
+  async processJob(job, tracker, signal, stats) {
+    stats.totalClaimed++;
+
+    logger.info(`Processing job ${job.id} (${stats.totalClaimed}, ${this.activeJobs.size} running):`, {
+      id: job.id,
+      channel_id: job.channel_id,
+      input_video_url: job.input_video_url,
+      soundtrack_url: job.soundtrack_url,
+      length_minutes: job.length_minutes,
+      status: job.status
+    });
+
+    try {
+      const result = await this.renderVideo(job, tracker, signal);
+      stats.totalProcessed++;
+      this.recordResult(stats, { jobId: job.id, success: true, result });
+      logger.info(`✅ Job ${job.id} completed successfully`);
+    } catch (error) {
+      if (signal.aborted && signal.reason === 'cancelled') {
+        stats.totalCancelled++;
+        this.recordResult(stats, { jobId: job.id, success: false, cancelled: true, error: error.message });
+        logger.warn(`🛑 Job ${job.id} cancelled`);
+        return;
+      }
+
+      if (signal.aborted) {
+        stats.totalInterrupted++;
+        this.recordResult(stats, { jobId: job.id, success: false, interrupted: true, error: error.message });
+        logger.warn(`⏹️ Job ${job.id} interrupted: ${signal.reason}`);
+        return;
+      }
+
+      stats.totalFailed++;
+      this.recordResult(stats, { jobId: job.id, success: false, error: error.message });
+      logger.error(`❌ Job ${job.id} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Wait until every active job has settled
+   */
+  async waitForActiveJobs() {
+    await Promise.allSettled([...this.activeJobs.values()].map(entry => entry.promise));
+  }
+
+  /**
+   * Create an empty stats accumulator
+   * @param {number} maxResults - Per-job results to keep; older ones are dropped, the counters keep counting
+   */
+  createStats(maxResults = Infinity) {
+    return {
+      totalClaimed: 0,
+      totalProcessed: 0,
+      totalFailed: 0,
+      totalInterrupted: 0,
+      totalCancelled: 0,
+      maxResults,
+      results: []
     };
-    
-    logger.info(`🎉 Batch processing complete! Processed: ${totalProcessed}, Failed: ${totalFailed}`);
-    return stats;
+  }
+
+  /**
+   * Add a job's outcome to the stats, dropping the oldest beyond stats.maxResults
+   */
+  recordResult(stats, result) {
+    stats.results.push(result);
+    if (stats.results.length > stats.maxResults) {
+      stats.results.shift();
+    }
+  }
+
+  /**
+   * Build the stats object returned by start()
+   */
+  summarizeStats(stats) {
+    return {
+      totalProcessed: stats.totalProcessed,
+      totalFailed: stats.totalFailed,
+      totalInterrupted: stats.totalInterrupted,
+      totalCancelled: stats.totalCancelled,
+      total: stats.totalProcessed + stats.totalFailed + stats.totalInterrupted + stats.totalCancelled,
+      results: stats.results
+    };
+  }
+
+  /**
+   * Wait for the given time; resolves early when shutdown is requested
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.wakeUp = null;
+        resolve();
+      }, ms);
+
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Wait until one of the running jobs settles; resolves early when shutdown is requested
+   */
+  waitForSlot() {
+    return new Promise(resolve => {
+      const done = () => {
+        if (this.wakeUp === done) {
+          this.wakeUp = null;
+        }
+        resolve();
+      };
+
+      this.wakeUp = done;
+      Promise.race([...this.activeJobs.values()].map(entry => entry.promise)).then(done, done);
+    });
   }
 
   /**
    * Render a single video job - main workflow orchestration
+   * @param {Object} job - Claimed job
+   * @param {ProgressTracker} progressTracker - Tracker dedicated to this job
+   * @param {AbortSignal} signal - Aborts downloads, FFmpeg and upload; the reason decides how the job is finalized
    */
-  async renderVideo(job) {
+  async renderVideo(job, progressTracker = new ProgressTracker(this.jobManager, null, this.workflowNotifier), signal = null) {
+    let videoPath = null;
+    let audioPath = null;
+    let outputPath = null;
+    let outputFinished = false;
+    let keepOutput = false;
+    let artifactPaths = [];
+
     // Start progress tracking
-    this.progressTracker.startTracking(job);
+    progressTracker.startTracking(job);
 
     try {
       // Step 1: Validate job data
@@ -146,53 +474,105 @@ export class VideoRenderWorker {
         throw new Error(this.validator.getErrorMessage(validation));
       }
       
-      await this.progressTracker.updateStage('VALIDATION');
+      await progressTracker.updateStage('VALIDATION');
       logger.info('Processing complete video+audio job');
 
-      // Step 2: Download media files
-      await this.progressTracker.updateStage('DOWNLOAD_START');
-      const { videoPath, audioPath } = await this.downloader.downloadMediaFiles(
-        job.input_video_url,
-        job.soundtrack_url
-      );
+      // A previous attempt may have rendered the video but failed or stopped while uploading
+      const finished = this.uploadStateStore ? await this.uploadStateStore.getFinishedOutput(job.id) : null;
+      let metadata;
+
+      if (finished) {
+        logger.info(`Reusing output rendered by a previous attempt: ${finished.outputPath}`);
+        outputPath = finished.outputPath;
+        metadata = finished.metadata;
+      } else {
+        // Step 2: Download media files
+        await progressTracker.updateStage('DOWNLOAD_START');
+        ({ videoPath, audioPath } = await this.downloader.downloadMediaFiles(
+          job.input_video_url,
+          job.soundtrack_url,
+          { signal, jobId: job.id }
+        ));
+
+        // Validate downloaded files
+        await this.downloader.validateFile(videoPath, this.config.validation.minVideoSize);
+        await this.downloader.validateFile(audioPath, this.config.validation.minAudioSize);
 
-      // Validate downloaded files
-      await this.downloader.validateFile(videoPath, this.config.validation.minVideoSize);
-      await this.downloader.validateFile(audioPath, this.config.validation.minAudioSize);
+        await progressTracker.updateStage('DOWNLOAD_COMPLETE');
 
-      await this.progressTracker.updateStage('DOWNLOAD_COMPLETE');
+        // Step 3: Process media
+        await progressTracker.updateStage('PROCESSING_START');
+        outputPath = await this.processor.processMedia(
+          videoPath,
+          audioPath,
+          job.length_minutes,
+          null,
+          {
+            signal,
+            onProgress: (step, fraction) => progressTracker.updateStepProgress(step, fraction)
+          }
+        );
 
-      // Step 3: Process media
-      await this.progressTracker.updateStage('PROCESSING_START');
-      const outputPath = await this.processor.processMedia(
-        videoPath,
-        audioPath,
-        job.length_minutes
-      );
+        // Step 4: Get metadata before upload (while file still exists locally)
+        metadata = await this.processor.getOutputMetadata(outputPath);
+        await this.saveFinishedOutput(job.id, outputPath, metadata);
+      }
+
+      outputFinished = true;
 
-      await this.progressTracker.updateStage('PROCESSING_COMPLETE');
+      // Step 5: Thumbnail and preview clip, the last part of the processing band
+      let artifacts = null;
+      if (this.config.artifacts.enabled) {
+        artifacts = await this.processor.generateArtifacts(outputPath, metadata, { ...this.config.artifacts, signal });
+        artifactPaths = [artifacts.thumbnailPath, artifacts.previewPath];
+        await progressTracker.updateStepProgress('artifacts', 1);
+      }
 
-      // Step 4: Get metadata before upload (while file still exists locally)
-      const metadata = await this.processor.getOutputMetadata(outputPath);
+      await progressTracker.updateStage('PROCESSING_COMPLETE');
 
-      // Step 5: Upload result
-      const uploadResult = await this.uploader.uploadAndCleanup(
-        outputPath,
-        job.channel_id,
-        job.id,
-        false // Don't keep local file after upload
-      );
+      // Step 6: Upload result, unless a previous attempt stored it and failed afterwards
+      let uploadResult;
+      if (finished && finished.upload) {
+        logger.info(`Reusing video uploaded by a previous attempt: ${finished.upload.key}`);
+        const { url, expiresAt } = await this.uploader.getOutputUrl(finished.upload.key);
+        uploadResult = { ...finished.upload, url, urlExpiresAt: expiresAt };
+      } else {
+        uploadResult = await this.uploader.uploadAndCleanup(
+          outputPath,
+          job.channel_id,
+          job.id,
+          true, // Keep the local file and its record until the artifacts are stored too
+          {
+            signal,
+            job,
+            metadata,
+            onProgress: ({ loaded, total }) => progressTracker.updateStepProgress('upload', total ? loaded / total : 0)
+          }
+        );
+        await this.saveUploadedOutput(job.id, uploadResult);
+      }
 
-      await this.progressTracker.updateStage('UPLOAD_COMPLETE');
+      // Step 7: Artifacts next to the video
+      let artifactUrls = null;
+      if (artifacts) {
+        const sidecarPath = path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.json`);
+        artifactPaths.push(sidecarPath);
+        artifactUrls = await this.uploadArtifacts(job, uploadResult, metadata, { ...artifacts, sidecarPath }, signal);
+      }
 
-      // Step 6: Complete job with metadata
-      await this.jobManager.completeJob(job.id, uploadResult.url, metadata);
+      // Everything is stored; the output file itself is removed in the cleanup step
+      await this.removeFinishedOutput(job.id);
+      await progressTracker.updateStage('UPLOAD_COMPLETE');
 
-      // Step 7: Cleanup
-      await this.downloader.cleanup([videoPath, audioPath]);
+      // Step 8: Complete job with metadata, the checksum the upload was verified against and the artifact URLs
+      await this.jobManager.completeJob(job.id, uploadResult.url, {
+        ...metadata,
+        checksum: uploadResult.checksum,
+        ...(artifactUrls && { artifacts: artifactUrls })
+      });
 
       // Complete progress tracking
-      const metrics = await this.progressTracker.complete({
+      const metrics = await progressTracker.complete({
         outputUrl: uploadResult.url,
         fileSize: uploadResult.size
       });
@@ -205,11 +585,132 @@ export class VideoRenderWorker {
       };
 
     } catch (error) {
-      // Handle failure
-      await this.jobManager.failJob(job.id, error);
-      await this.progressTracker.fail(error);
+      keepOutput = outputFinished && this.shouldKeepOutput(job, error, signal);
+      if (outputFinished && !keepOutput) {
+        await this.removeFinishedOutput(job.id);
+      }
+
+      if (signal && signal.aborted) {
+        if (signal.reason === 'cancelled') {
+          // Cancel request on the row or from the admin API: final, never requeued
+          await this.jobManager.markJobCancelled(job.id, {
+            stage: progressTracker.getCurrentStage()
+          });
+        } else if (signal.reason !== 'lease_lost') {
+          // Interrupted by the worker, not a job failure: hand the job back
+          // (a lost lease means another worker already owns it)
+          await this.jobManager.releaseJob(job.id, signal.reason);
+        }
+        await progressTracker.interrupt(signal.reason);
+      } else {
+        // Handle failure, recording the stage the job was in
+        await this.jobManager.failJob(job.id, error, {
+          stage: progressTracker.getCurrentStage()
+        });
+        await progressTracker.fail(error);
+      }
       
       throw error;
+    } finally {
+      // Step 9: Cleanup (a kept output is uploaded, or its artifacts are, by the job's next attempt)
+      await this.downloader.cleanup([videoPath, audioPath, keepOutput ? null : outputPath, ...artifactPaths]);
+    }
+  }
+
+  /**
+   * Upload the thumbnail, preview clip and a JSON sidecar describing the render next to the video
+   * @param {Object} paths - { thumbnailPath, previewPath, sidecarPath }
+   * @returns {Promise<{thumbnailUrl: string, previewUrl: string, sidecarUrl: string}>} Artifact URLs
+   */
+  async uploadArtifacts(job, uploadResult, metadata, { thumbnailPath, previewPath, sidecarPath }, signal) {
+    const upload = (filePath, suffix, contentType) => this.uploader.uploadArtifact(
+      filePath,
+      this.uploader.getArtifactKey(uploadResult.key, suffix),
+      { contentType, signal }
+    );
+
+    const thumbnail = await upload(thumbnailPath, '_thumbnail.jpg', 'image/jpeg');
+    const preview = await upload(previewPath, '_preview.mp4', 'video/mp4');
+
+    // Local paths and timestamps of the worker's disk mean nothing to consumers
+    const { filePath, createdAt, modifiedAt, ...output } = metadata;
+    await fs.writeJson(sidecarPath, {
+      job: {
+        id: job.id,
+        channel_id: job.channel_id,
+        length_minutes: job.length_minutes,
+        input_video_url: job.input_video_url,
+        soundtrack_url: job.soundtrack_url
+      },
+      video: {
+        key: uploadResult.key,
+        url: uploadResult.url,
+        size: uploadResult.size,
+        sha256: uploadResult.checksum
+      },
+      output,
+      thumbnail: { key: thumbnail.key, url: thumbnail.url },
+      preview: { key: preview.key, url: preview.url, size: preview.size },
+      workerId: this.config.worker.workerId,
+      renderedAt: new Date().toISOString()
+    }, { spaces: 2 });
+
+    const sidecar = await upload(sidecarPath, '.json', 'application/json');
+
+    return {
+      thumbnailUrl: thumbnail.url,
+      previewUrl: preview.url,
+      sidecarUrl: sidecar.url
+    };
+  }
+
+  /**
+   * Whether a rendered output should be kept for the next attempt of an unfinished job:
+   * the worker is shutting down (the job is released) or the failure will be retried
+   */
+  shouldKeepOutput(job, error, signal) {
+    if (!this.uploadStateStore) {
+      return false;
+    }
+    if (signal && signal.aborted) {
+      return signal.reason === 'shutdown';
+    }
+    return this.retryPolicy.evaluate(job, error).retry;
+  }
+
+  /**
+   * Record a finished render; failing to do so only costs a re-render on retry
+   */
+  async saveFinishedOutput(jobId, outputPath, metadata) {
+    if (!this.uploadStateStore) return;
+
+    try {
+      await this.uploadStateStore.saveFinishedOutput(jobId, outputPath, metadata);
+    } catch (error) {
+      logger.warn(`Could not record finished output of job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Record that the finished render is stored; failing to do so only costs another upload on retry
+   */
+  async saveUploadedOutput(jobId, uploadResult) {
+    if (!this.uploadStateStore) return;
+
+    try {
+      await this.uploadStateStore.saveUploadedOutput(jobId, uploadResult);
+    } catch (error) {
+      logger.warn(`Could not record upload of job ${jobId}:`, error.message);
+    }
+  }
+
+  async removeFinishedOutput(jobId) {
+    if (!this.uploadStateStore) return;
+
+    try {
+      await this.uploadStateStore.removeFinishedOutput(jobId);
+    } catch (error) {
+      logger.warn(`Could not remove finished output record of job ${jobId}:`, error.message);
     }
   }
 
@@ -225,24 +726,119 @@ export class VideoRenderWorker {
         processor: !!this.processor,
         uploader: !!this.uploader
       },
-      currentJob: this.progressTracker.getCurrentJob(),
-      elapsedTime: this.progressTracker.getElapsedTime()
+      workerId: this.config.worker.workerId,
+      running: this.running,
+      paused: this.paused,
+      stopping: this.stopping,
+      concurrency: this.config.worker.concurrency,
+      activeJobs: [...this.activeJobs.values()]
+        .map(({ tracker }) => tracker.getSnapshot())
+        .filter(Boolean)
     };
   }
 
+  /**
+   * Whether the worker is running and accepting new jobs
+   */
+  isReady() {
+    return this.running && !this.paused && !this.stopping;
+  }
+
+  /**
+   * Stop claiming new jobs; running jobs continue
+   */
+  pause() {
+    if (!this.paused) {
+      logger.info('Job claiming paused');
+    }
+    this.paused = true;
+  }
+
+  /**
+   * Resume claiming jobs after pause()
+   */
+  resume() {
+    if (this.paused) {
+      logger.info('Job claiming resumed');
+    }
+    this.paused = false;
+
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+
+  /**
+   * Cancel running jobs; cancelled jobs are marked 'cancelled' and not retried
+   * @param {number|string|null} jobId - Job to cancel, or null for every running job
+   * @returns {Array} IDs of the jobs that were cancelled
+   */
+  cancelJobs(jobId = null) {
+    const cancelled = [];
+
+    for (const [id, { abortController }] of this.activeJobs) {
+      if (jobId !== null && String(id) !== String(jobId)) continue;
+      if (abortController.signal.aborted) continue;
+
+      logger.warn(`Cancelling job ${id}`);
+      abortController.abort('cancelled');
+      cancelled.push(id);
+    }
+
+    return cancelled;
+  }
+
   /**
    * Graceful shutdown
+   * Stops claiming new jobs and lets running jobs finish within `worker.shutdownTimeout`;
+   * jobs still running after the deadline are killed and handed back to the queue
    */
   async shutdown() {
     logger.info('Worker shutting down gracefully...');
+
+    this.stopping = true;
+
+    // Interrupt an idle wait so the daemon loop can exit immediately
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+
+    // Let a claim already in flight finish, so its job is either running or released
+    if (this.claiming) {
+      await this.claiming;
+    }
     
-    // If there's a current job, wait for it to complete or timeout
-    const currentJob = this.progressTracker.getCurrentJob();
-    if (currentJob) {
-      logger.info(`Waiting for current job ${currentJob.id} to complete...`);
-      // In a real implementation, you might want to add timeout logic here
+    if (this.activeJobs.size > 0) {
+      const { shutdownTimeout } = this.config.worker;
+      const jobIds = [...this.activeJobs.keys()].join(', ');
+      logger.info(`Waiting up to ${shutdownTimeout}ms for ${this.activeJobs.size} running job(s) to complete: ${jobIds}`);
+
+      let timer = null;
+      const deadline = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), shutdownTimeout);
+      });
+      const finished = await Promise.race([
+        this.waitForActiveJobs().then(() => true),
+        deadline
+      ]);
+      clearTimeout(timer);
+
+      if (!finished) {
+        logger.warn(`Shutdown deadline reached, interrupting ${this.activeJobs.size} running job(s)`);
+        this.abortActiveJobs('shutdown');
+        await this.waitForActiveJobs();
+      }
     }
     
     logger.info('Worker shutdown complete');
   }
+
+  /**
+   * Abort every running job with the given reason
+   */
+  abortActiveJobs(reason) {
+    for (const { abortController } of this.activeJobs.values()) {
+      abortController.abort(reason);
+    }
+  }
 } 
\ No newline at end of file
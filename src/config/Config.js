@@ -1,4 +1,8 @@
-import { logger } from '../logger.js';
+import os from 'os';
+import { createLogger } from '../logger.js';
+import { KeyTemplate } from '../storage/KeyTemplate.js';
+
+const logger = createLogger('config');
 
 /**
  * Configuration management class
@@ -17,27 +21,66 @@ export class Config {
   }
 
   loadConfiguration() {
-    // Supabase Configuration
-    this.supabase = {
-      url: this.getRequiredEnv('SUPABASE_URL'),
-      anonKey: this.getRequiredEnv('SUPABASE_ANON_KEY')
+    // Job Backend Configuration
+    this.jobs = {
+      backend: process.env.JOB_BACKEND || 'supabase', // 'supabase' or 'file'
+      dir: process.env.JOB_DIR || './jobs' // File backend: one <id>.json per job
     };
 
-    // File Storage Configuration
+    // Storage Configuration (local working directories and the upload backend)
     this.storage = {
       tempDir: process.env.TEMP_DIR || './temp',
-      outputDir: process.env.OUTPUT_DIR || './output'
+      outputDir: process.env.OUTPUT_DIR || './output',
+      backend: process.env.STORAGE_BACKEND || 'b2', // 'b2', 's3', 'local' or 'supabase'
+      // Object key template, overridable per job through the output_key_template column
+      keyTemplate: process.env.STORAGE_KEY_TEMPLATE || 'dark_channel_sounds/channel_{channelId}/finals/rendered_version_{videoId}.{ext}',
+      // What ends up in final_video_url: 'public' URL, time-limited 'signed' URL or the bare object 'key'
+      urlMode: process.env.STORAGE_URL_MODE || 'public',
+      signedUrlTtl: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 3600 // Seconds
+    };
+    const storageBackend = this.storage.backend;
+
+    // Supabase Configuration (required by the supabase job backend and Supabase Storage)
+    const usesSupabase = this.jobs.backend === 'supabase' || storageBackend === 'supabase';
+    this.supabase = {
+      url: this.getEnv('SUPABASE_URL', usesSupabase),
+      anonKey: this.getEnv('SUPABASE_ANON_KEY', usesSupabase)
     };
 
-    // Backblaze B2 Configuration
+    // Backblaze B2 Configuration (STORAGE_BACKEND=b2)
+    const usesB2 = storageBackend === 'b2';
     this.backblaze = {
-      endpoint: this.getRequiredEnv('B2_ENDPOINT'),
-      region: this.getRequiredEnv('B2_REGION'),
-      accessKeyId: this.getRequiredEnv('B2_ACCESS_KEY_ID'),
-      secretAccessKey: this.getRequiredEnv('B2_SECRET_ACCESS_KEY'),
-      bucket: this.getRequiredEnv('B2_BUCKET'),
-      publicBaseUrl: process.env.B2_PUBLIC_BASE_URL || 'https://f004.backblazeb2.com/file/gpm-n8n-storage',
-      keyPattern: 'dark_channel_sounds/channel_{channelId}/finals/rendered_version_{videoId}.mp4'
+      endpoint: this.getEnv('B2_ENDPOINT', usesB2),
+      region: this.getEnv('B2_REGION', usesB2),
+      accessKeyId: this.getEnv('B2_ACCESS_KEY_ID', usesB2),
+      secretAccessKey: this.getEnv('B2_SECRET_ACCESS_KEY', usesB2),
+      bucket: this.getEnv('B2_BUCKET', usesB2),
+      forcePathStyle: true, // Required for Backblaze B2
+      publicBaseUrl: process.env.B2_PUBLIC_BASE_URL || 'https://f004.backblazeb2.com/file/gpm-n8n-storage'
+    };
+
+    // S3-compatible Storage Configuration (STORAGE_BACKEND=s3: AWS S3, MinIO, R2, Wasabi)
+    const usesS3 = storageBackend === 's3';
+    this.s3 = {
+      endpoint: process.env.S3_ENDPOINT || null, // Empty for AWS S3
+      region: process.env.S3_REGION || 'us-east-1', // R2 expects 'auto'
+      accessKeyId: this.getEnv('S3_ACCESS_KEY_ID', usesS3),
+      secretAccessKey: this.getEnv('S3_SECRET_ACCESS_KEY', usesS3),
+      bucket: this.getEnv('S3_BUCKET', usesS3),
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+      publicBaseUrl: process.env.S3_PUBLIC_BASE_URL || null // e.g. a CDN or r2.dev domain
+    };
+
+    // Local Filesystem Storage Configuration (STORAGE_BACKEND=local)
+    this.localStorage = {
+      dir: process.env.LOCAL_STORAGE_DIR || './storage',
+      publicBaseUrl: process.env.LOCAL_STORAGE_PUBLIC_BASE_URL || null // file:// URLs when empty
+    };
+
+    // Supabase Storage Configuration (STORAGE_BACKEND=supabase)
+    this.supabaseStorage = {
+      bucket: this.getEnv('SUPABASE_STORAGE_BUCKET', storageBackend === 'supabase'),
+      serviceKey: process.env.SUPABASE_SERVICE_ROLE_KEY || null // Falls back to SUPABASE_ANON_KEY
     };
 
     // FFmpeg Configuration
@@ -48,21 +91,42 @@ export class Config {
       audioCodec: process.env.FFMPEG_AUDIO_CODEC || 'aac',
       preset: process.env.FFMPEG_PRESET || 'ultrafast',
       crf: parseInt(process.env.FFMPEG_CRF) || 18,
-      threads: parseInt(process.env.FFMPEG_THREADS) || 0
+      compressionPreset: process.env.COMPRESSION_PRESET || 'youtube-1080p',
+      threads: parseInt(process.env.FFMPEG_THREADS) || 0, // Total thread budget shared by concurrent jobs (0 = auto)
+      cpuCount: os.cpus().length
     };
 
     // Download Configuration
     this.download = {
       timeout: parseInt(process.env.DOWNLOAD_TIMEOUT) || 300000,
       userAgent: process.env.USER_AGENT || 'VideoRenderer/1.0',
-      retries: parseInt(process.env.DOWNLOAD_RETRIES) || 3
+      retries: parseInt(process.env.DOWNLOAD_RETRIES) || 3,
+      // Directories local inputs (file:// URLs, absolute paths) may be read from; none allowed when empty
+      localRoots: (process.env.DOWNLOAD_LOCAL_ROOTS || '').split(',').map(root => root.trim()).filter(Boolean),
+      // Credentials used for s3:// inputs: 'b2' (B2_*) or 's3' (S3_*)
+      s3Credentials: process.env.DOWNLOAD_S3_CREDENTIALS || (storageBackend === 's3' ? 's3' : 'b2')
     };
 
     // Upload Configuration
     this.upload = {
       partSize: parseInt(process.env.UPLOAD_PART_SIZE) || (1024 * 1024 * 10), // 10MB
       queueSize: parseInt(process.env.UPLOAD_QUEUE_SIZE) || 4,
-      contentType: process.env.UPLOAD_CONTENT_TYPE || 'video/mp4'
+      contentType: process.env.UPLOAD_CONTENT_TYPE || 'video/mp4',
+      partRetries: parseInt(process.env.UPLOAD_PART_RETRIES) || 3, // Attempts per multipart part
+      verifyAttempts: parseInt(process.env.UPLOAD_VERIFY_ATTEMPTS) || 3, // Uploads of a file whose stored copy doesn't match
+      // Multipart upload state and finished renders, kept so restarted workers can resume uploads
+      stateDir: process.env.UPLOAD_STATE_DIR || './temp/uploads',
+      orphanMaxAge: parseInt(process.env.UPLOAD_ORPHAN_MAX_AGE) || 86400000, // 24h
+      cleanupInterval: parseInt(process.env.UPLOAD_CLEANUP_INTERVAL) || 3600000 // 1h
+    };
+
+    // Thumbnail, preview clip and JSON sidecar uploaded next to each video
+    this.artifacts = {
+      enabled: process.env.ARTIFACTS_ENABLED !== 'false',
+      thumbnailAt: parseFloat(process.env.ARTIFACT_THUMBNAIL_AT) || 5, // Seconds into the video
+      thumbnailWidth: parseInt(process.env.ARTIFACT_THUMBNAIL_WIDTH) || 1280,
+      previewDuration: parseFloat(process.env.ARTIFACT_PREVIEW_DURATION) || 15, // Seconds
+      previewHeight: parseInt(process.env.ARTIFACT_PREVIEW_HEIGHT) || 480
     };
 
     // Validation Configuration
@@ -72,14 +136,91 @@ export class Config {
       maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || (1024 * 1024 * 1024 * 2) // 2GB
     };
 
+    // Worker Configuration
+    this.worker = {
+      mode: process.env.WORKER_MODE || 'batch', // 'batch' drains the queue and exits, 'daemon' keeps polling
+      pollInterval: parseInt(process.env.JOB_CHECK_INTERVAL) || 5000,
+      maxIdleInterval: parseInt(process.env.JOB_MAX_IDLE_INTERVAL) || 60000,
+      idleBackoffFactor: parseFloat(process.env.JOB_IDLE_BACKOFF_FACTOR) || 2,
+      concurrency: Math.max(1, parseInt(process.env.WORKER_CONCURRENCY) || 1),
+      shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 60000, // Grace period before running jobs are killed
+      interruptedStatus: process.env.INTERRUPTED_JOB_STATUS || 'waiting_render',
+      workerId: process.env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+      leaseTtl: parseInt(process.env.LEASE_TTL) || 120000, // Claimed jobs without a heartbeat for this long are reclaimed
+      heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL) || 30000,
+      reaperInterval: parseInt(process.env.REAPER_INTERVAL) || 60000
+    };
+
+    // Progress Configuration
+    this.progress = {
+      updateInterval: parseInt(process.env.PROGRESS_UPDATE_INTERVAL) || 10000, // Min ms between FFmpeg-driven progress writes
+      webhookMinInterval: parseInt(process.env.PROGRESS_WEBHOOK_MIN_INTERVAL) || 30000, // Min ms between progress webhooks
+      webhookStep: parseInt(process.env.PROGRESS_WEBHOOK_STEP) || 10, // Notify every N percent
+      // n8n Wait nodes resume on the first call, so progress only goes to waiting_node_url when asked to
+      webhookUseWaitingNode: process.env.PROGRESS_WEBHOOK_USE_WAITING_NODE === 'true'
+    };
+
+    // Retry Configuration
+    this.retry = {
+      maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+      baseDelay: parseInt(process.env.RETRY_BASE_DELAY) || 60000, // 1 minute
+      maxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 3600000, // 1 hour
+      backoffFactor: parseFloat(process.env.RETRY_BACKOFF_FACTOR) || 2
+    };
+
+    // Webhook Delivery Configuration
+    this.webhook = {
+      secret: process.env.WEBHOOK_SECRET || null, // HMAC key, unsigned when empty
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      baseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 1000,
+      maxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 30000,
+      backoffFactor: parseFloat(process.env.WEBHOOK_BACKOFF_FACTOR) || 2,
+      deliveryLogDir: process.env.WEBHOOK_DELIVERY_LOG_DIR || './logs/webhooks'
+    };
+
+    // Control/Health HTTP Server Configuration
+    this.server = {
+      enabled: process.env.SERVER_ENABLED !== 'false',
+      port: parseInt(process.env.SERVER_PORT) || 3000,
+      host: process.env.SERVER_HOST || '0.0.0.0',
+      adminToken: process.env.ADMIN_TOKEN || null, // Admin endpoints are disabled without a token
+      minFreeDiskMb: parseInt(process.env.HEALTH_MIN_FREE_DISK_MB) || 1024,
+      checkTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 5000
+    };
+
+    // Prometheus Metrics Configuration (served on the control server's /metrics)
+    this.metrics = {
+      enabled: process.env.METRICS_ENABLED !== 'false',
+      prefix: process.env.METRICS_PREFIX || 'render_',
+      defaultMetrics: process.env.METRICS_DEFAULT_METRICS !== 'false' // Node.js process metrics
+    };
+
     // Logging Configuration
     this.logging = {
-      level: process.env.LOG_LEVEL || 'info'
+      level: process.env.LOG_LEVEL || 'info',
+      format: process.env.LOG_FORMAT || 'text', // 'text' or 'json'
+      moduleLevels: this.parseModuleLevels(process.env.LOG_MODULE_LEVELS), // e.g. downloader=debug,supabase=warn
+      file: process.env.LOG_FILE || null, // e.g. ./logs/worker.log
+      maxSize: parseInt(process.env.LOG_MAX_SIZE) || 10 * 1024 * 1024, // Rotate after 10MB
+      maxFiles: parseInt(process.env.LOG_MAX_FILES) || 5
     };
 
     logger.info('Configuration loaded successfully');
   }
 
+  /**
+   * Parse "module=level,module=level" into { module: level }
+   */
+  parseModuleLevels(value) {
+    if (!value) return {};
+
+    return Object.fromEntries(
+      value.split(',')
+        .map(pair => pair.split('=').map(part => part.trim()))
+        .filter(([module, level]) => module && level)
+    );
+  }
+
   getRequiredEnv(key) {
     const value = process.env[key];
     if (!value) {
@@ -89,13 +230,37 @@ export class Config {
   }
 
   /**
-   * Get Backblaze key for a video
+   * Environment variable that is only required when the feature using it is enabled
    */
-  getBackblazeKey(channelId, videoId) {
+  getEnv(key, required) {
+    return required ? this.getRequiredEnv(key) : process.env[key] || null;
+  }
+
+  /**
+   * Get the storage key for a rendered video
+   * @param {Object} context - Template values: { channelId, videoId, preset, resolution, ext, job };
+   *   job.output_key_template overrides STORAGE_KEY_TEMPLATE
+   */
+  getStorageKey(context) {
     this.ensureLoaded();
-    return this.backblaze.keyPattern
-      .replace('{channelId}', channelId)
-      .replace('{videoId}', videoId);
+    const template = (context.job && context.job.output_key_template) || this.storage.keyTemplate;
+    return KeyTemplate.render(template, { ...context, preset: context.preset || this.ffmpeg.compressionPreset });
+  }
+
+  /**
+   * Get the FFmpeg thread count for a single job
+   * Splits the thread budget evenly across concurrent jobs; 0 lets FFmpeg decide
+   */
+  getFFmpegThreadsPerJob() {
+    this.ensureLoaded();
+    const { concurrency } = this.worker;
+
+    if (concurrency === 1 && !this.ffmpeg.threads) {
+      return 0;
+    }
+
+    const budget = this.ffmpeg.threads || this.ffmpeg.cpuCount;
+    return Math.max(1, Math.floor(budget / concurrency));
   }
 
   /**
@@ -103,7 +268,11 @@ export class Config {
    */
   validate() {
     this.ensureLoaded();
-    const requiredSections = ['supabase', 'backblaze'];
+    const storageSections = { b2: 'backblaze', s3: 's3', local: 'localStorage', supabase: 'supabaseStorage' };
+    const requiredSections = ['jobs', 'storage', storageSections[this.storage.backend]].filter(Boolean);
+    if (this.jobs.backend === 'supabase' || this.storage.backend === 'supabase') {
+      requiredSections.push('supabase');
+    }
     
     for (const section of requiredSections) {
       if (!this[section]) {
@@ -111,6 +280,40 @@ export class Config {
       }
     }
 
+    if (!['supabase', 'file'].includes(this.jobs.backend)) {
+      throw new Error(`Invalid JOB_BACKEND: ${this.jobs.backend}. Available: supabase, file`);
+    }
+
+    if (!storageSections[this.storage.backend]) {
+      throw new Error(`Invalid STORAGE_BACKEND: ${this.storage.backend}. Available: ${Object.keys(storageSections).join(', ')}`);
+    }
+
+    if (!['public', 'signed', 'key'].includes(this.storage.urlMode)) {
+      throw new Error(`Invalid STORAGE_URL_MODE: ${this.storage.urlMode}. Available: public, signed, key`);
+    }
+
+    if (this.storage.urlMode !== 'public' && this.storage.backend === 'local') {
+      throw new Error(`STORAGE_URL_MODE=${this.storage.urlMode} needs signed URLs, which the local storage backend doesn't support`);
+    }
+
+    // SigV4 presigned URLs are valid for at most 7 days
+    if (['b2', 's3'].includes(this.storage.backend) && this.storage.signedUrlTtl > 604800) {
+      throw new Error(`STORAGE_SIGNED_URL_TTL must be at most 604800 seconds (7 days) for S3-compatible storage`);
+    }
+
+    KeyTemplate.validate(this.storage.keyTemplate);
+    if (!KeyTemplate.isUnique(this.storage.keyTemplate)) {
+      logger.warn(`STORAGE_KEY_TEMPLATE has no {videoId}, {uuid} or {job.id}: renders will overwrite each other`);
+    }
+
+    if (!['b2', 's3'].includes(this.download.s3Credentials)) {
+      throw new Error(`Invalid DOWNLOAD_S3_CREDENTIALS: ${this.download.s3Credentials}. Available: b2, s3`);
+    }
+
+    if (!['text', 'json'].includes(this.logging.format)) {
+      throw new Error(`Invalid LOG_FORMAT: ${this.logging.format}. Available: text, json`);
+    }
+
     logger.info('Configuration validation passed');
     return true;
   }
@@ -121,13 +324,24 @@ export class Config {
   getComponentConfig(componentName) {
     this.ensureLoaded();
     const configs = {
+      jobs: this.jobs,
       supabase: this.supabase,
       storage: this.storage,
       backblaze: this.backblaze,
+      s3: this.s3,
+      localStorage: this.localStorage,
+      supabaseStorage: this.supabaseStorage,
       ffmpeg: this.ffmpeg,
       download: this.download,
       upload: this.upload,
+      artifacts: this.artifacts,
       validation: this.validation,
+      worker: this.worker,
+      retry: this.retry,
+      progress: this.progress,
+      webhook: this.webhook,
+      server: this.server,
+      metrics: this.metrics,
       logging: this.logging
     };
 
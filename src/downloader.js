@@ -1,110 +1,241 @@
-import axios from 'axios';
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
 import path from 'path';
 import fs from 'fs-extra';
 import { v4 as uuidv4 } from 'uuid';
-import { logger } from './logger.js';
+import { createLogger } from './logger.js';
 import { FileManager } from './base/FileManager.js';
 import { IMediaDownloader } from './interfaces/IMediaDownloader.js';
+import { SourceResolver } from './sources/SourceResolver.js';
+import { MediaSniffer } from './sources/MediaSniffer.js';
+import { ErrorClassifier } from './errors/ErrorClassifier.js';
 import { config } from './config/Config.js';
 
+const logger = createLogger('downloader');
+
+/**
+ * Downloads job inputs through pluggable sources (see SourceResolver): http(s), Google Drive and Dropbox
+ * share links, s3://, supabase:// and local files
+ * Emits `downloaded` { url, filePath, bytes, durationSeconds } on `events` after each finished download
+ */
 class MediaDownloader extends FileManager {
-  constructor(tempDir = null, configOverride = null) {
+  constructor(tempDir = null, configOverride = null, sourceResolver = null) {
     const actualTempDir = tempDir || config.getComponentConfig('storage').tempDir;
     super(actualTempDir);
     
     this.config = configOverride || config.getComponentConfig('download');
     this.validationConfig = config.getComponentConfig('validation');
+    this.events = new EventEmitter();
+    this.sourceResolver = sourceResolver || new SourceResolver();
+    this.classifier = new ErrorClassifier();
     
     this.ensureDirectory();
   }
 
   /**
-   * Download a file from URL to local temp directory
+   * Download a file from URL (or any supported source) to local temp directory
+   * Data goes to a `.part` file that is only renamed into place once complete. A later call with the same
+   * `partPath` continues it with a Range request, provided the input's Content-Length and ETag are unchanged.
+   * The file is saved with the extension of its real container (see MediaSniffer); content that isn't
+   * media, such as an HTML error page, is rejected before FFmpeg ever sees it
+   * @param {string} expectedKind - 'video' or 'audio'; audio-only content is rejected where video is expected
+   * @param {Object} options - Download options ({ signal } aborts the request, { partPath } keeps the
+   *   partial file on failure so it can be resumed, the caller removes it with discardPartial())
    */
-  async downloadFile(url, expectedExtension) {
+  async downloadFile(url, expectedKind, options = {}) {
+    const { signal = null, partPath = null } = options;
+    const downloadPath = partPath || path.join(this.baseDir, `${uuidv4()}.part`);
+    let filePath = null;
+    const startedAt = Date.now();
+
     try {
       logger.info(`Starting download: ${url}`);
-      
-      const fileName = `${uuidv4()}.${expectedExtension}`;
-      const filePath = path.join(this.baseDir, fileName);
-
-      const response = await axios({
-        method: 'GET',
-        url: url,
-        responseType: 'stream',
-        timeout: this.config.timeout,
-        headers: {
-          'User-Agent': this.config.userAgent
-        }
-      });
 
-      const writer = fs.createWriteStream(filePath);
-      
-      // Track download progress
-      const totalLength = response.headers['content-length'];
-      let downloadedLength = 0;
-
-      response.data.on('data', (chunk) => {
-        downloadedLength += chunk.length;
-        if (totalLength) {
-          const progress = ((downloadedLength / totalLength) * 100).toFixed(1);
-          if (downloadedLength % (1024 * 1024) === 0) { // Log every MB
-            logger.debug(`Download progress: ${progress}%`);
-          }
-        }
-      });
+      const partial = await this.readPartial(downloadPath);
+      let input;
 
-      response.data.pipe(writer);
-
-      return new Promise((resolve, reject) => {
-        writer.on('finish', () => {
-          logger.info(`Download completed: ${filePath}`);
-          resolve(filePath);
-        });
+      if (partial && partial.size && partial.bytes === partial.size) {
+        // A previous attempt got every byte but failed afterwards
+        logger.info(`Partial download of ${url} is already complete`);
+        input = partial;
+      } else {
+        input = await this.writePartial(url, downloadPath, partial, signal);
+      }
 
-        writer.on('error', (error) => {
-          logger.error('Download error:', error);
-          reject(error);
-        });
+      const { ext, kind, detectedBy } = await MediaSniffer.detect(downloadPath, {
+        contentType: input.contentType,
+        expectedKind,
+        source: url
+      });
+      filePath = path.join(this.baseDir, `${path.basename(downloadPath, '.part')}.${ext}`);
+      await fs.move(downloadPath, filePath);
+      await fs.remove(`${downloadPath}.json`);
 
-        response.data.on('error', (error) => {
-          logger.error('Response stream error:', error);
-          reject(error);
-        });
+      logger.info(`Download completed: ${filePath} (${kind} ${ext}, detected by ${detectedBy})`);
+      this.events.emit('downloaded', {
+        url,
+        filePath,
+        bytes: input.bytes,
+        durationSeconds: (Date.now() - startedAt) / 1000
       });
+      return filePath;
 
     } catch (error) {
       logger.error(`Failed to download ${url}:`, error.message);
+      // Don't leave partial downloads behind in the temp directory unless the caller resumes them
+      await this.cleanup(partPath ? [filePath] : [downloadPath, `${downloadPath}.json`, filePath]);
       throw error;
     }
   }
 
   /**
-   * Download video file (MP4)
+   * Stream the input into the partial file, after the bytes already there when the input hasn't changed
+   * @param {Object|null} partial - Previous attempt (see readPartial)
+   * @returns {Promise<{bytes: number, size: number|null, etag: string|null, contentType: string|null}>} Written file
+   */
+  async writePartial(url, downloadPath, partial, signal) {
+    const source = this.sourceResolver.resolve(url);
+    const openOptions = { signal, timeout: this.config.timeout, userAgent: this.config.userAgent };
+    const resumeFrom = partial ? partial.bytes : 0;
+
+    let opened = await source.open(url, { ...openOptions, offset: resumeFrom, etag: partial && partial.etag });
+
+    if (opened.offset > 0) {
+      const mismatch = this.getResumeMismatch(partial, opened);
+      if (mismatch) {
+        logger.warn(`Restarting download of ${url}: ${mismatch}`);
+        opened.stream.destroy();
+        opened = await source.open(url, { ...openOptions, offset: 0 });
+      } else {
+        logger.info(`Resuming download of ${url} at ${opened.offset}/${opened.size || '?'} bytes`);
+      }
+    } else if (resumeFrom > 0) {
+      logger.info(`Restarting download of ${url}: source sent the whole input`);
+    }
+
+    const { stream, offset, size: totalLength, etag, contentType } = opened;
+
+    // Written before any data, so the next attempt can tell whether the input changed
+    await fs.writeJson(`${downloadPath}.json`, { url, size: totalLength, etag, contentType });
+
+    const writer = fs.createWriteStream(downloadPath, { flags: offset > 0 ? 'a' : 'w' });
+
+    // Track download progress
+    let downloadedLength = offset;
+
+    stream.on('data', (chunk) => {
+      downloadedLength += chunk.length;
+      if (totalLength) {
+        const progress = ((downloadedLength / totalLength) * 100).toFixed(1);
+        if (downloadedLength % (1024 * 1024) === 0) { // Log every MB
+          logger.debug(`Download progress: ${progress}%`);
+        }
+      }
+    });
+
+    stream.pipe(writer);
+
+    await new Promise((resolve, reject) => {
+      writer.on('finish', resolve);
+
+      writer.on('error', (error) => {
+        logger.error('Download error:', error);
+        reject(error);
+      });
+
+      stream.on('error', (error) => {
+        logger.error('Source stream error:', error);
+        writer.destroy();
+        reject(error);
+      });
+    });
+
+    // A connection closed early can end the stream without an error
+    const { size: bytes } = await fs.stat(downloadPath);
+    if (totalLength && bytes !== totalLength) {
+      throw new Error(`Incomplete download of ${url}: got ${bytes} of ${totalLength} bytes`);
+    }
+
+    return { bytes, size: totalLength, etag, contentType };
+  }
+
+  /**
+   * Why a ranged response can't continue the partial file, or null when it can
+   * At least one of Content-Length and ETag must be known on both sides and match
+   */
+  getResumeMismatch(partial, opened) {
+    if (opened.offset !== partial.bytes) {
+      return `range starts at byte ${opened.offset}, expected ${partial.bytes}`;
+    }
+
+    const sameSize = partial.size && opened.size ? partial.size === opened.size : null;
+    const sameEtag = partial.etag && opened.etag ? partial.etag === opened.etag : null;
+
+    if (sameSize === false) {
+      return `Content-Length changed (${partial.size} → ${opened.size})`;
+    }
+    if (sameEtag === false) {
+      return `ETag changed (${partial.etag} → ${opened.etag})`;
+    }
+    if (sameSize === null && sameEtag === null) {
+      return 'no Content-Length or ETag to compare with the partial file';
+    }
+    return null;
+  }
+
+  /**
+   * Bytes already in a partial download and what the input looked like when they were written
+   * @returns {Promise<{bytes: number, size: number|null, etag: string|null, contentType: string|null}|null>}
+   *   null when there is no partial file
    */
-  async downloadVideo(videoUrl) {
+  async readPartial(downloadPath) {
+    const stats = await fs.stat(downloadPath).catch(() => null);
+    if (!stats) {
+      return null;
+    }
+
+    const state = await fs.readJson(`${downloadPath}.json`).catch(() => ({}));
+    return {
+      bytes: stats.size,
+      size: state.size || null,
+      etag: state.etag || null,
+      contentType: state.contentType || null
+    };
+  }
+
+  /**
+   * Remove a partial download and its state
+   */
+  async discardPartial(partPath) {
+    await this.cleanup([partPath, `${partPath}.json`]);
+  }
+
+  /**
+   * Download video file
+   */
+  async downloadVideo(videoUrl, options = {}) {
     logger.info('Downloading video file...');
-    return this.downloadFile(videoUrl, 'mp4');
+    return this.downloadFile(videoUrl, 'video', options);
   }
 
   /**
-   * Download audio file (WAV)
+   * Download audio file (a video container works too, its audio track is used)
    */
-  async downloadAudio(audioUrl) {
+  async downloadAudio(audioUrl, options = {}) {
     logger.info('Downloading audio file...');
-    return this.downloadFile(audioUrl, 'wav');
+    return this.downloadFile(audioUrl, 'audio', options);
   }
 
   /**
-   * Download both video and audio files concurrently
+   * Download both video and audio files concurrently, each with retries (see downloadWithRetry)
    */
-  async downloadMediaFiles(videoUrl, audioUrl) {
+  async downloadMediaFiles(videoUrl, audioUrl, options = {}) {
     try {
       logger.info('Starting concurrent download of video and audio...');
       
       const [videoPath, audioPath] = await Promise.all([
-        this.downloadVideo(videoUrl),
-        this.downloadAudio(audioUrl)
+        this.downloadWithRetry(videoUrl, 'video', null, options),
+        this.downloadWithRetry(audioUrl, 'audio', null, options)
       ]);
 
       logger.info('Both media files downloaded successfully');
@@ -128,16 +259,11 @@ class MediaDownloader extends FileManager {
    * Get minimum file size based on file type
    */
   getMinSizeForFile(filePath) {
-    const extension = path.extname(filePath).toLowerCase();
-    
-    switch (extension) {
-      case '.mp4':
-      case '.avi':
-      case '.mov':
+    switch (MediaSniffer.getKind(path.extname(filePath).slice(1))) {
+      case 'video':
         return this.validationConfig.minVideoSize;
-      case '.wav':
-      case '.mp3':
-      case '.aac':
+      case 'audio':
+      case 'any':
         return this.validationConfig.minAudioSize;
       default:
         return 1024; // 1KB default
@@ -146,27 +272,79 @@ class MediaDownloader extends FileManager {
 
   /**
    * Download with retry logic
+   * Every attempt continues the partial file of the previous one (see downloadFile); errors that
+   * won't go away (not media, 404, ...) and aborts aren't retried. With a job ID the partial file
+   * outlives the call, so the job's next attempt continues it too; it is only dropped when the
+   * error isn't retryable or the job was cancelled (removeStalePartials() sweeps the rest)
+   * @param {string} expectedKind - 'video' or 'audio' (see downloadFile)
+   * @param {Object} options - Download options ({ signal } aborts the download, { jobId } names the partial file)
    */
-  async downloadWithRetry(url, expectedExtension, maxRetries = null) {
+  async downloadWithRetry(url, expectedKind, maxRetries = null, options = {}) {
     const retries = maxRetries || this.config.retries;
-    
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        return await this.downloadFile(url, expectedExtension);
-      } catch (error) {
-        logger.warn(`Download attempt ${attempt}/${retries} failed for ${url}: ${error.message}`);
-        
-        if (attempt === retries) {
-          throw error;
+    const { signal = null, jobId = null } = options;
+    const partPath = this.getPartPath(url, expectedKind, jobId);
+    let keepPartial = false;
+
+    try {
+      for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+          return await this.downloadFile(url, expectedKind, { signal, partPath });
+        } catch (error) {
+          logger.warn(`Download attempt ${attempt}/${retries} failed for ${url}: ${error.message}`);
+
+          const retryable = this.classifier.classify(error).retryable;
+          if (attempt === retries || (signal && signal.aborted) || !retryable) {
+            keepPartial = jobId !== null && (signal && signal.aborted ? signal.reason !== 'cancelled' : retryable);
+            throw error;
+          }
+
+          // Wait before retry (exponential backoff)
+          const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+          await new Promise(resolve => setTimeout(resolve, delay));
         }
-        
-        // Wait before retry (exponential backoff)
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    } finally {
+      // Already renamed into place after a successful attempt; otherwise only kept when the job will resume it
+      if (!keepPartial) {
+        await this.discardPartial(partPath);
       }
     }
   }
 
+  /**
+   * Partial file of an input: stable per job, input kind and URL so a retried job finds it again,
+   * unique per call without a job ID
+   */
+  getPartPath(url, expectedKind, jobId = null) {
+    const name = jobId === null
+      ? uuidv4()
+      : createHash('sha256').update(`${jobId}\n${expectedKind}\n${url}`).digest('hex').slice(0, 32);
+    return path.join(this.baseDir, `${name}.part`);
+  }
+
+  /**
+   * Remove partial downloads nothing has written to for `maxAge` ms, e.g. of jobs that failed for good
+   * @returns {Promise<number>} Number of partial files removed
+   */
+  async removeStalePartials(maxAge) {
+    const entries = await fs.readdir(this.baseDir).catch(() => []);
+    let removed = 0;
+
+    for (const entry of entries.filter(name => name.endsWith('.part'))) {
+      const partPath = path.join(this.baseDir, entry);
+      const stats = await fs.stat(partPath).catch(() => null);
+      if (!stats || Date.now() - stats.mtimeMs < maxAge) {
+        continue;
+      }
+
+      logger.info(`Removing stale partial download: ${partPath}`);
+      await this.discardPartial(partPath);
+      removed++;
+    }
+
+    return removed;
+  }
+
   /**
    * Validate all downloaded files in a batch
    */
@@ -206,16 +384,14 @@ class MediaDownloader extends FileManager {
    * Check if file is a video file
    */
   isVideoFile(filePath) {
-    const videoExtensions = ['.mp4', '.avi', '.mov', '.mkv', '.webm'];
-    return videoExtensions.includes(path.extname(filePath).toLowerCase());
+    return MediaSniffer.getKind(path.extname(filePath).slice(1)) === 'video';
   }
 
   /**
    * Check if file is an audio file
    */
   isAudioFile(filePath) {
-    const audioExtensions = ['.wav', '.mp3', '.aac', '.ogg', '.flac'];
-    return audioExtensions.includes(path.extname(filePath).toLowerCase());
+    return ['audio', 'any'].includes(MediaSniffer.getKind(path.extname(filePath).slice(1)));
   }
 }
 
@@ -0,0 +1,96 @@
+/**
+ * Error classifier - implements Single Responsibility Principle
+ * Responsible only for deciding what kind of failure an error represents
+ * and whether retrying the job could succeed
+ */
+export class ErrorClassifier {
+  constructor() {
+    this.transientNetworkCodes = [
+      'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED',
+      'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+    ];
+    this.transientS3Errors = [
+      'RequestTimeout', 'RequestTimeTooSkewed', 'SlowDown', 'InternalError',
+      'ServiceUnavailable', 'TimeoutError', 'NetworkingError',
+      'BadDigest' // Bytes corrupted on the way, the server's SHA-256 didn't match
+    ];
+  }
+
+  /**
+   * Classify an error
+   * @param {Error} error - Error thrown while rendering
+   * @returns {{category: string, retryable: boolean}} Classification
+   */
+  classify(error) {
+    if (!error) {
+      return { category: 'unknown', retryable: true };
+    }
+
+    const message = error.message || '';
+
+    if (message.startsWith('Job validation failed')) {
+      return { category: 'validation', retryable: false };
+    }
+
+    // Disk full may clear up once other jobs finish
+    if (error.code === 'ENOSPC') {
+      return { category: 'storage', retryable: true };
+    }
+
+    // HTTP errors (downloads, axios)
+    if (error.isAxiosError || error.response) {
+      const status = error.response && error.response.status;
+      if (!status) {
+        return { category: 'network', retryable: true };
+      }
+      return { category: 'download', retryable: this.isTransientHttpStatus(status) };
+    }
+
+    // S3 / storage SDK errors
+    if (error.$metadata || this.transientS3Errors.includes(error.name)) {
+      const status = error.$metadata && error.$metadata.httpStatusCode;
+      const retryable = !!error.$retryable ||
+        this.transientS3Errors.includes(error.name) ||
+        !status ||
+        this.isTransientHttpStatus(status);
+      return { category: 'upload', retryable };
+    }
+
+    // Corrupted or truncated copy in storage; the next attempt uploads again
+    if (/Upload integrity check failed/.test(message)) {
+      return { category: 'upload', retryable: true };
+    }
+
+    // Connection closed early; the next attempt continues the partial file
+    if (/Incomplete download/.test(message)) {
+      return { category: 'download', retryable: true };
+    }
+
+    if (this.transientNetworkCodes.includes(error.code)) {
+      return { category: 'network', retryable: true };
+    }
+
+    // Bad or missing input media won't get better on retry
+    if (/File does not exist|File too small|No (video|audio) stream found|Invalid data found|Not a media file/i.test(message)) {
+      return { category: 'input', retryable: false };
+    }
+
+    // FFmpeg killed from outside (e.g. OOM killer) may succeed on another attempt
+    if (/ffmpeg was killed with signal/i.test(message)) {
+      return { category: 'processing', retryable: true };
+    }
+
+    if (/ffmpeg exited with code|ffprobe/i.test(message)) {
+      return { category: 'processing', retryable: false };
+    }
+
+    return { category: 'unknown', retryable: true };
+  }
+
+  /**
+   * Whether an HTTP status indicates a transient condition
+   */
+  isTransientHttpStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+  }
+}
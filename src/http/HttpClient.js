@@ -1,7 +1,9 @@
 import axios from 'axios';
-import { logger } from '../logger.js';
+import { createLogger } from '../logger.js';
 import { IHttpClient } from '../interfaces/IHttpClient.js';
 
+const logger = createLogger('http');
+
 /**
  * Concrete implementation of HTTP client using axios
  * Implements IHttpClient interface following Dependency Inversion Principle
@@ -19,12 +21,24 @@ export class HttpClient extends IHttpClient {
     };
   }
 
+  /**
+   * Merge per-request options over the defaults, keeping default headers
+   * unless a request overrides them individually
+   */
+  mergeOptions(options = {}) {
+    return {
+      ...this.defaultOptions,
+      ...options,
+      headers: { ...this.defaultOptions.headers, ...options.headers }
+    };
+  }
+
   /**
    * Make HTTP POST request
    */
   async post(url, data, options = {}) {
     try {
-      const mergedOptions = { ...this.defaultOptions, ...options };
+      const mergedOptions = this.mergeOptions(options);
       logger.debug(`Making POST request to ${url}`);
       
       const response = await axios.post(url, data, mergedOptions);
@@ -53,7 +67,7 @@ export class HttpClient extends IHttpClient {
    */
   async get(url, options = {}) {
     try {
-      const mergedOptions = { ...this.defaultOptions, ...options };
+      const mergedOptions = this.mergeOptions(options);
       logger.debug(`Making GET request to ${url}`);
       
       const response = await axios.get(url, mergedOptions);
@@ -82,7 +96,7 @@ export class HttpClient extends IHttpClient {
    */
   async put(url, data, options = {}) {
     try {
-      const mergedOptions = { ...this.defaultOptions, ...options };
+      const mergedOptions = this.mergeOptions(options);
       logger.debug(`Making PUT request to ${url}`);
       
       const response = await axios.put(url, data, mergedOptions);
@@ -111,7 +125,7 @@ export class HttpClient extends IHttpClient {
    */
   async delete(url, options = {}) {
     try {
-      const mergedOptions = { ...this.defaultOptions, ...options };
+      const mergedOptions = this.mergeOptions(options);
       logger.debug(`Making DELETE request to ${url}`);
       
       const response = await axios.delete(url, mergedOptions);
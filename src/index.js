@@ -3,8 +3,9 @@ import { logger } from './logger.js';
 import { serviceFactory } from './services/ServiceFactory.js';
 import MediaDownloader from './downloader.js';
 import { MediaProcessorFactory } from './media/MediaProcessorFactory.js';
-import BackblazeUploader from './uploader.js';
 import { VideoRenderWorker } from './VideoRenderWorker.js';
+import { ControlServer } from './server/ControlServer.js';
+import { MetricsCollector } from './metrics/MetricsCollector.js';
 import { config } from './config/Config.js';
 
 // Load environment variables
@@ -47,6 +48,13 @@ class DIContainer {
     return dependency.factory();
   }
 
+  /**
+   * Create the health/control HTTP server for a worker
+   */
+  createControlServer(worker) {
+    return new ControlServer(worker, this.resolve('jobManager'), null, null, this.resolve('metricsCollector'));
+  }
+
   /**
    * Create worker with all dependencies
    */
@@ -55,7 +63,10 @@ class DIContainer {
       jobManager: this.resolve('jobManager'),
       downloader: this.resolve('downloader'),
       processor: this.resolve('processor'),
-      uploader: this.resolve('uploader')
+      uploader: this.resolve('uploader'),
+      uploadStateStore: this.resolve('uploadStateStore'),
+      workflowNotifier: this.resolve('workflowNotifier'),
+      metricsCollector: this.resolve('metricsCollector')
     });
   }
 }
@@ -68,12 +79,21 @@ function configureDI() {
   const container = new DIContainer();
 
   // Register all dependencies using ServiceFactory for proper dependency injection
-  const compressionPreset = process.env.COMPRESSION_PRESET || 'youtube-1080p';
+  const { compressionPreset } = config.getComponentConfig('ffmpeg');
   container
+    .register('workflowNotifier', () => serviceFactory.createWorkflowNotifier())
     .register('jobManager', () => serviceFactory.createJobManager())
     .register('downloader', () => new MediaDownloader())
-    .register('processor', () => MediaProcessorFactory.withPreset(compressionPreset)) // SOLID-compliant media processing
-    .register('uploader', () => new BackblazeUploader());
+    .register('processor', () => {
+      // Each concurrent job gets an equal share of the FFmpeg thread budget
+      const { outputDir, tempDir } = config.getComponentConfig('storage');
+      return MediaProcessorFactory.withPreset(compressionPreset, outputDir, tempDir, {
+        threads: config.getFFmpegThreadsPerJob()
+      });
+    }) // SOLID-compliant media processing
+    .register('uploader', () => serviceFactory.createUploader())
+    .register('uploadStateStore', () => serviceFactory.createUploadStateStore())
+    .register('metricsCollector', () => config.getComponentConfig('metrics').enabled ? new MetricsCollector() : null);
 
   return container;
 }
@@ -83,6 +103,12 @@ function configureDI() {
  */
 async function main() {
   try {
+    // Structured/file logging and per-module levels; every entry carries the worker id
+    logger.configure({
+      ...config.getComponentConfig('logging'),
+      context: { workerId: config.getComponentConfig('worker').workerId }
+    });
+
     logger.info('Initializing Video Render Worker application...');
 
     // Configure dependency injection
@@ -91,11 +117,25 @@ async function main() {
     // Create worker with injected dependencies
     const worker = container.createWorker();
 
+    // Health/status endpoints and admin actions
+    const controlServer = config.getComponentConfig('server').enabled
+      ? container.createControlServer(worker)
+      : null;
+
     // Set up graceful shutdown handlers
-    setupGracefulShutdown(worker);
+    setupGracefulShutdown(worker, controlServer);
 
-    // Start processing
-    const stats = await worker.start();
+    if (controlServer) {
+      await controlServer.start();
+    }
+
+    // Start processing in the selected mode (--daemon flag overrides WORKER_MODE)
+    const mode = process.argv.includes('--daemon') ? 'daemon' : config.getComponentConfig('worker').mode;
+    const stats = await worker.start({ mode });
+
+    if (controlServer) {
+      await controlServer.stop();
+    }
     
     logger.info('Application completed successfully:', stats);
     process.exit(0);
@@ -109,15 +149,26 @@ async function main() {
 /**
  * Set up graceful shutdown handlers
  */
-function setupGracefulShutdown(worker) {
+function setupGracefulShutdown(worker, controlServer = null) {
   const signals = ['SIGINT', 'SIGTERM'];
+  let shuttingDown = false;
   
   signals.forEach(signal => {
     process.on(signal, async () => {
+      // A second signal while the current job is finishing forces an exit
+      if (shuttingDown) {
+        logger.warn(`Received ${signal} again, forcing exit`);
+        process.exit(1);
+      }
+      shuttingDown = true;
+
       logger.info(`Received ${signal}, initiating graceful shutdown...`);
       
       try {
         await worker.shutdown();
+        if (controlServer) {
+          await controlServer.stop();
+        }
         logger.info('Graceful shutdown completed');
         process.exit(0);
       } catch (error) {
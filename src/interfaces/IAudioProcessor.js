@@ -8,9 +8,11 @@ export class IAudioProcessor {
    * @param {string} inputPath - Input audio file path
    * @param {number} durationMinutes - Target duration in minutes
    * @param {string} outputPath - Optional output path
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Aborts the FFmpeg process
    * @returns {Promise<string>} Path to processed audio file
    */
-  async loopAudio(inputPath, durationMinutes, outputPath = null) {
+  async loopAudio(inputPath, durationMinutes, outputPath = null, options = {}) {
     throw new Error('Method loopAudio must be implemented');
   }
 
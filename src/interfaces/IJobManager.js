@@ -3,6 +3,14 @@
  * Implements Dependency Inversion Principle by defining abstractions
  */
 export class IJobManager {
+  /**
+   * Check that the job store is reachable
+   * @returns {Promise<void>} Resolves when reachable, rejects with the connection error otherwise
+   */
+  async ping() {
+    throw new Error('Method ping must be implemented');
+  }
+
   /**
    * Get and claim a job for processing
    * @returns {Promise<Object|null>} Job object or null if none available
@@ -26,7 +34,7 @@ export class IJobManager {
    * Mark job as completed
    * @param {number} jobId - Job ID
    * @param {string} outputUrl - URL of completed output
-   * @param {Object} metadata - Job metadata
+   * @param {Object} metadata - Output metadata ({ checksum } and { artifacts } are stored, see JobOutput)
    * @returns {Promise<boolean>} Success status
    */
   async completeJob(jobId, outputUrl, metadata = {}) {
@@ -37,20 +45,63 @@ export class IJobManager {
    * Mark job as failed
    * @param {number} jobId - Job ID
    * @param {Error} error - Error that caused failure
+   * @param {Object} context - Failure context
+   * @param {string} context.stage - Progress stage the job was in when it failed
    * @returns {Promise<boolean>} Success status
    */
-  async failJob(jobId, error) {
+  async failJob(jobId, error, context = {}) {
     throw new Error('Method failJob must be implemented');
   }
 
+  /**
+   * Refresh the lease of a job claimed by this worker
+   * @param {number} jobId - Job ID
+   * @returns {Promise<{leaseHeld: boolean, cancelRequested: boolean, job: Object|null}>} Whether this worker
+   *   still owns the job and whether cancellation was requested on it
+   */
+  async heartbeat(jobId) {
+    throw new Error('Method heartbeat must be implemented');
+  }
+
+  /**
+   * Return jobs whose lease expired (crashed workers) to the queue, and mark queued jobs
+   * with a cancel request cancelled (claiming skips them)
+   * @returns {Promise<number[]>} IDs of reclaimed jobs
+   */
+  async reclaimStaleJobs() {
+    throw new Error('Method reclaimStaleJobs must be implemented');
+  }
+
+  /**
+   * Mark a job cancelled after its render was stopped
+   * @param {number} jobId - Job ID
+   * @param {Object} context - Where the job was stopped ({ stage })
+   * @returns {Promise<boolean>} Success status
+   */
+  async markJobCancelled(jobId, context = {}) {
+    throw new Error('Method markJobCancelled must be implemented');
+  }
+
+  /**
+   * Hand an unfinished job back to the queue (e.g. on worker shutdown)
+   * @param {number} jobId - Job ID
+   * @param {string} reason - Why the job was interrupted
+   * @returns {Promise<boolean>} Success status
+   */
+  async releaseJob(jobId, reason = '') {
+    throw new Error('Method releaseJob must be implemented');
+  }
+
   /**
    * Update job progress
    * @param {number} jobId - Job ID
    * @param {number} progress - Progress percentage (0-100)
    * @param {string} currentStep - Current processing step description
+   * @param {Object} details - Optional details
+   * @param {number|null} details.etaSeconds - Estimated seconds until completion
    * @returns {Promise<boolean>} Success status
    */
-  async updateProgress(jobId, progress, currentStep = '') {
+  async updateProgress(jobId, progress, currentStep = '', details = {}) {
     throw new Error('Method updateProgress must be implemented');
   }
 } 
\ No newline at end of file
@@ -4,11 +4,15 @@
 export class IMediaDownloader {
   /**
    * Download media files (video and audio)
+   * Files are saved with the extension of their detected container; non-media content is rejected
    * @param {string} videoUrl - Video URL
    * @param {string} audioUrl - Audio URL
+   * @param {Object} options - Download options
+   * @param {AbortSignal} options.signal - Aborts in-flight downloads
+   * @param {string|number} options.jobId - Keeps partial downloads for the job's next attempt
    * @returns {Promise<{videoPath: string, audioPath: string}>} Downloaded file paths
    */
-  async downloadMediaFiles(videoUrl, audioUrl) {
+  async downloadMediaFiles(videoUrl, audioUrl, options = {}) {
     throw new Error('Method downloadMediaFiles must be implemented');
   }
 
@@ -22,6 +26,15 @@ export class IMediaDownloader {
     throw new Error('Method validateFile must be implemented');
   }
 
+  /**
+   * Remove partial downloads that haven't been written to for `maxAge` ms
+   * @param {number} maxAge - Age in milliseconds
+   * @returns {Promise<number>} Number of partial downloads removed
+   */
+  async removeStalePartials(maxAge) {
+    throw new Error('Method removeStalePartials must be implemented');
+  }
+
   /**
    * Clean up downloaded files
    * @param {string[]} filePaths - Array of file paths to clean up
@@ -8,7 +8,7 @@ export class IMediaMerger {
    * @param {string} videoPath - Input video file path
    * @param {string} audioPath - Input audio file path
    * @param {string} outputPath - Output file path
-   * @param {Object} options - Merging options
+   * @param {Object} options - Merging options ({ signal } aborts the FFmpeg process)
    * @returns {Promise<string>} Path to merged output file
    */
   async mergeVideoAudio(videoPath, audioPath, outputPath, options = {}) {
@@ -19,7 +19,7 @@ export class IMediaMerger {
    * Merge multiple video files
    * @param {string[]} videoPaths - Array of input video file paths
    * @param {string} outputPath - Output file path
-   * @param {Object} options - Merging options
+   * @param {Object} options - Merging options ({ signal } aborts the FFmpeg process)
    * @returns {Promise<string>} Path to merged output file
    */
   async mergeVideos(videoPaths, outputPath, options = {}) {
@@ -30,7 +30,7 @@ export class IMediaMerger {
    * Merge multiple audio files
    * @param {string[]} audioPaths - Array of input audio file paths
    * @param {string} outputPath - Output file path
-   * @param {Object} options - Merging options
+   * @param {Object} options - Merging options ({ signal } aborts the FFmpeg process)
    * @returns {Promise<string>} Path to merged output file
    */
   async mergeAudios(audioPaths, outputPath, options = {}) {
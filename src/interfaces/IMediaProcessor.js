@@ -8,9 +8,12 @@ export class IMediaProcessor {
    * @param {string} audioPath - Audio file path
    * @param {number} durationMinutes - Target duration in minutes
    * @param {string} outputPath - Optional output path
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Aborts all FFmpeg processes of the pipeline
+   * @param {Function} options.onProgress - Receives (step, fraction) for each pipeline step, fraction in 0-1
    * @returns {Promise<string>} Path to processed output file
    */
-  async processMedia(videoPath, audioPath, durationMinutes, outputPath = null) {
+  async processMedia(videoPath, audioPath, durationMinutes, outputPath = null, options = {}) {
     throw new Error('Method processMedia must be implemented');
   }
 
@@ -23,6 +26,17 @@ export class IMediaProcessor {
     throw new Error('Method getOutputMetadata must be implemented');
   }
 
+  /**
+   * Create the poster thumbnail and preview clip of a rendered video
+   * @param {string} outputPath - Rendered video
+   * @param {Object} metadata - Output metadata (see getOutputMetadata)
+   * @param {Object} options - Artifact settings (see Config.artifacts) and { signal }
+   * @returns {Promise<{thumbnailPath: string, previewPath: string}>} Artifact paths
+   */
+  async generateArtifacts(outputPath, metadata = {}, options = {}) {
+    throw new Error('Method generateArtifacts must be implemented');
+  }
+
   /**
    * Clean up temporary files
    * @param {string[]} filePaths - Array of file paths to clean up
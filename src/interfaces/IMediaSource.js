@@ -0,0 +1,35 @@
+/**
+ * Interface for input sources the downloader can read from (http, s3://, supabase://, local files, ...)
+ */
+export class IMediaSource {
+  /**
+   * Whether this source handles the given input reference
+   * @param {string} uri - Job input (URL, URI or path)
+   * @returns {boolean} True if this source is responsible
+   */
+  matches(uri) {
+    throw new Error('Method matches must be implemented');
+  }
+
+  /**
+   * Check a reference this source matches without opening it
+   * @param {string} uri - Job input
+   * @returns {string|null} Reason the reference can't be used, or null
+   */
+  validate(uri) {
+    return null;
+  }
+
+  /**
+   * Open the input for reading
+   * Sources that can serve byte ranges continue at `offset`, as long as the content still matches `etag`
+   * @param {string} uri - Job input
+   * @param {Object} options - { signal, timeout, userAgent, offset, etag }
+   * @returns {Promise<{stream: Readable, offset: number, size: number|null, contentType: string|null, etag: string|null}>}
+   *   Content stream and the byte it starts at (0 when the whole input is sent), the input's total length,
+   *   MIME type and version identifier when known
+   */
+  async open(uri, options = {}) {
+    throw new Error('Method open must be implemented');
+  }
+}
@@ -8,12 +8,52 @@ export class IUploader {
    * @param {number} channelId - Channel ID
    * @param {number} videoId - Video ID
    * @param {boolean} keepLocal - Whether to keep local file after upload
-   * @returns {Promise<{success: boolean, url: string, key: string, size: number}>} Upload result
+   * @param {Object} options - Upload options
+   * @param {AbortSignal} options.signal - Aborts the in-flight upload
+   * @param {Function} options.onProgress - Receives { loaded, total } bytes as the upload progresses
+   * @param {Object} options.job - Job row: output_key_template and {job.<column>} / {lengthMinutes} placeholders
+   * @param {Object} options.metadata - Output metadata ({resolution} placeholder)
+   * @param {string} options.preset - Compression preset ({preset} placeholder, defaults to COMPRESSION_PRESET)
+   * @returns {Promise<{success: boolean, url: string, key: string, size: number, checksum: string, verified: boolean}>} Upload result;
+   *   url is a public URL, a signed URL or the bare key depending on STORAGE_URL_MODE,
+   *   checksum the SHA-256 of the file, verified whether a checksum the backend computed from the stored copy matched it
+   *   (false when only the size could be checked)
    */
-  async uploadAndCleanup(filePath, channelId, videoId, keepLocal = false) {
+  async uploadAndCleanup(filePath, channelId, videoId, keepLocal = false, options = {}) {
     throw new Error('Method uploadAndCleanup must be implemented');
   }
 
+  /**
+   * Storage key of a file that accompanies a video
+   * @param {string} videoKey - Storage key of the video
+   * @param {string} suffix - Replaces the video's extension, e.g. '_thumbnail.jpg'
+   * @returns {string} Storage key
+   */
+  getArtifactKey(videoKey, suffix) {
+    throw new Error('Method getArtifactKey must be implemented');
+  }
+
+  /**
+   * Upload a file that accompanies a video (thumbnail, preview clip, JSON sidecar); the local file is kept
+   * @param {string} filePath - Local file path
+   * @param {string} key - Storage key (see getArtifactKey)
+   * @param {Object} options - { contentType, metadata, signal }
+   * @returns {Promise<{url: string, key: string, size: number, checksum: string}>} url follows STORAGE_URL_MODE
+   */
+  async uploadArtifact(filePath, key, options = {}) {
+    throw new Error('Method uploadArtifact must be implemented');
+  }
+
+  /**
+   * Create a time-limited GET URL for a stored object
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - Validity in seconds (defaults to STORAGE_SIGNED_URL_TTL)
+   * @returns {Promise<{url: string, key: string, expiresAt: string}>} Signed URL and its expiry
+   */
+  async createSignedUrl(key, expiresIn) {
+    throw new Error('Method createSignedUrl must be implemented');
+  }
+
   /**
    * Validate upload result
    * @param {Object} uploadResult - Upload result object
@@ -8,9 +8,11 @@ export class IVideoProcessor {
    * @param {string} inputPath - Input video file path
    * @param {number} durationMinutes - Target duration in minutes
    * @param {string} outputPath - Optional output path
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Aborts the FFmpeg process
    * @returns {Promise<string>} Path to processed video file
    */
-  async loopVideo(inputPath, durationMinutes, outputPath = null) {
+  async loopVideo(inputPath, durationMinutes, outputPath = null, options = {}) {
     throw new Error('Method loopVideo must be implemented');
   }
 
@@ -23,6 +25,28 @@ export class IVideoProcessor {
     throw new Error('Method getVideoInfo must be implemented');
   }
 
+  /**
+   * Extract a poster frame
+   * @param {string} inputPath - Input video file path
+   * @param {string} outputPath - JPEG output path
+   * @param {Object} options - Run options ({ atSeconds, width, signal })
+   * @returns {Promise<string>} Path to the thumbnail
+   */
+  async extractThumbnail(inputPath, outputPath, options = {}) {
+    throw new Error('Method extractThumbnail must be implemented');
+  }
+
+  /**
+   * Encode a short preview clip
+   * @param {string} inputPath - Input video file path
+   * @param {string} outputPath - MP4 output path
+   * @param {Object} options - Run options ({ durationSeconds, height, signal })
+   * @returns {Promise<string>} Path to the preview clip
+   */
+  async createPreview(inputPath, outputPath, options = {}) {
+    throw new Error('Method createPreview must be implemented');
+  }
+
   /**
    * Apply video filters/transformations
    * @param {string} inputPath - Input video file path
@@ -28,6 +28,17 @@ export class IWorkflowNotifier {
     throw new Error('Method notifyJobFailure must be implemented');
   }
 
+  /**
+   * Notify external workflow that a job was cancelled
+   * @param {number} jobId - Job ID
+   * @param {string} notificationUrl - URL to notify
+   * @param {Object} additionalData - Additional notification data
+   * @returns {Promise<boolean>} Success status
+   */
+  async notifyJobCancellation(jobId, notificationUrl, additionalData = {}) {
+    throw new Error('Method notifyJobCancellation must be implemented');
+  }
+
   /**
    * Notify external workflow of job progress
    * @param {number} jobId - Job ID
@@ -40,4 +51,12 @@ export class IWorkflowNotifier {
   async notifyJobProgress(jobId, notificationUrl, progress, currentStep = '', additionalData = {}) {
     throw new Error('Method notifyJobProgress must be implemented');
   }
+
+  /**
+   * Re-send logged deliveries that previously failed
+   * @returns {Promise<{total: number, delivered: number, failed: number}>} Replay summary
+   */
+  async replayFailedDeliveries() {
+    throw new Error('Method replayFailedDeliveries must be implemented');
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,499 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../logger.js';
+import { IJobManager } from '../interfaces/IJobManager.js';
+import { config } from '../config/Config.js';
+import { RetryPolicy } from '../retry/RetryPolicy.js';
+import { JobFailure } from './JobFailure.js';
+import { JobOutput } from './JobOutput.js';
+
+const logger = createLogger('jobs');
+
+// Lock files older than this belong to a crashed process and are broken
+const STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+
+/**
+ * Offline job manager backed by a directory of JSON files
+ * Each job is `<id>.json` with the same columns as a dark_channel_soundtrack_videos row.
+ * Claims and updates take a per-job lock file, so several workers can share a directory
+ * on the same machine with the same semantics as the Supabase backend
+ */
+export class FileJobManager extends IJobManager {
+  constructor(configOverride = null, workflowNotifier = null, retryPolicy = null) {
+    super();
+    this.config = configOverride || config.getComponentConfig('jobs');
+    this.workerConfig = config.getComponentConfig('worker');
+    this.workflowNotifier = workflowNotifier; // Optional dependency injection
+    this.retryPolicy = retryPolicy || new RetryPolicy();
+    this.jobDir = this.config.dir;
+
+    fs.ensureDirSync(this.jobDir);
+    logger.info(`File job backend initialized: ${path.resolve(this.jobDir)}`);
+  }
+
+  /**
+   * Check that the job directory is readable and writable
+   */
+  async ping() {
+    await fs.access(this.jobDir, fs.constants.R_OK | fs.constants.W_OK);
+  }
+
+  /**
+   * Claim the oldest due job with status 'waiting_render'
+   */
+  async getAndClaimJob() {
+    try {
+      logger.info('Looking for available jobs...');
+
+      const now = new Date().toISOString();
+      const candidates = (await this.listJobs()).filter(job => this.isClaimable(job, now));
+
+      if (candidates.length === 0) {
+        logger.debug('No jobs available for rendering');
+        return null;
+      }
+
+      for (const candidate of candidates) {
+        logger.info(`Found job ${candidate.id}, attempting to claim it...`);
+
+        // Re-checked under the lock in case another worker got there first
+        const claimed = await this.updateJob(candidate.id, job => this.isClaimable(job, now)
+          ? { status: 'rendering', worker_id: this.workerConfig.workerId, heartbeat_at: now, updated_at: now }
+          : null);
+
+        if (claimed) {
+          logger.info(`Successfully claimed job ${claimed.id}`);
+          return claimed;
+        }
+
+        logger.warn(`Job ${candidate.id} was claimed by another worker`);
+      }
+
+      return null;
+
+    } catch (error) {
+      logger.error('Error in getAndClaimJob:', error);
+      return null;
+    }
+  }
+
+  isClaimable(job, now) {
+    return job.status === 'waiting_render' &&
+      !job.final_video_url &&
+      job.cancel_requested !== true &&
+      (!job.next_attempt_at || job.next_attempt_at <= now);
+  }
+
+  /**
+   * Update job status
+   */
+  async updateJobStatus(jobId, status, additionalData = {}) {
+    try {
+      const updated = await this.updateJob(jobId, () => ({
+        status,
+        updated_at: new Date().toISOString(),
+        ...additionalData
+      }));
+
+      if (!updated) {
+        logger.error(`Error updating job ${jobId} to ${status}: job not found`);
+        return false;
+      }
+
+      logger.info(`Job ${jobId} updated to ${status}`);
+      return true;
+
+    } catch (error) {
+      logger.error(`Error updating job ${jobId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Mark job as rendered and notify the waiting workflow
+   */
+  async completeJob(jobId, outputUrl, metadata = {}) {
+    try {
+      const job = await this.getJobById(jobId);
+      if (!job) {
+        logger.error(`Job ${jobId} not found when completing`);
+        return false;
+      }
+
+      const updateSuccess = await this.updateJobStatus(jobId, 'rendered', JobOutput.buildColumns(outputUrl, metadata));
+
+      if (!updateSuccess) {
+        logger.error(`Failed to update job ${jobId} status to rendered`);
+        return false;
+      }
+
+      if (job.waiting_node_url && this.workflowNotifier) {
+        await this.workflowNotifier.notifyJobCompletion(jobId, job.waiting_node_url, outputUrl, metadata);
+      }
+
+      return true;
+
+    } catch (error) {
+      logger.error(`Error completing job ${jobId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Record a failed attempt and requeue or fail the job according to the retry policy
+   */
+  async failJob(jobId, error, context = {}) {
+    try {
+      const job = await this.getJobById(jobId);
+      const decision = this.retryPolicy.evaluate(job, error);
+      const failureDetails = JobFailure.buildDetails(error, context, decision);
+
+      if (decision.retry) {
+        logger.warn(`Job ${jobId} attempt ${decision.attempt} failed (${decision.category}), retrying in ${Math.round(decision.delayMs / 1000)}s`);
+
+        return this.updateJobStatus(jobId, 'waiting_render', {
+          ...failureDetails,
+          attempt_count: decision.attempt,
+          next_attempt_at: decision.nextAttemptAt,
+          worker_id: null,
+          heartbeat_at: null
+        });
+      }
+
+      logger.error(`Job ${jobId} failed permanently after ${decision.attempt} attempt(s) (${decision.category}${decision.retryable ? '' : ', not retryable'})`);
+
+      const updateSuccess = await this.updateJobStatus(jobId, 'failed', {
+        ...failureDetails,
+        attempt_count: decision.attempt,
+        next_attempt_at: null
+      });
+
+      if (job && job.waiting_node_url && this.workflowNotifier) {
+        await this.workflowNotifier.notifyJobFailure(jobId, job.waiting_node_url, error, {
+          error_category: failureDetails.error_category,
+          error_stage: failureDetails.error_stage
+        });
+      }
+
+      return updateSuccess;
+    } catch (failureError) {
+      logger.error(`Error in failJob for ${jobId}:`, failureError);
+      return this.updateJobStatus(jobId, 'failed', {
+        error_message: JobFailure.truncate(error && error.message, 2000)
+      });
+    }
+  }
+
+  /**
+   * Refresh the lease heartbeat of a job claimed by this worker
+   */
+  async heartbeat(jobId) {
+    try {
+      const now = new Date().toISOString();
+      const job = await this.updateJob(jobId, current => this.isOwned(current, ['rendering', 'cancelling'])
+        ? { heartbeat_at: now, updated_at: now }
+        : null);
+
+      if (!job) {
+        logger.warn(`Lease for job ${jobId} is no longer held by ${this.workerConfig.workerId}`);
+        return { leaseHeld: false, cancelRequested: false, job: null };
+      }
+
+      const cancelRequested = job.status === 'cancelling' || job.cancel_requested === true;
+
+      logger.debug(`Heartbeat sent for job ${jobId}`);
+      return { leaseHeld: true, cancelRequested, job };
+
+    } catch (error) {
+      // Can't tell whether the lease is still ours; keep going and retry next beat
+      logger.error(`Error sending heartbeat for job ${jobId}:`, error);
+      return { leaseHeld: true, cancelRequested: false, job: null };
+    }
+  }
+
+  /**
+   * Requeue (or fail) 'rendering' jobs whose heartbeat is older than the lease TTL;
+   * stale 'cancelling' jobs are marked 'cancelled'
+   */
+  async reclaimStaleJobs() {
+    try {
+      const cutoff = new Date(Date.now() - this.workerConfig.leaseTtl).toISOString();
+      const isStale = job => ['rendering', 'cancelling'].includes(job.status) &&
+        (job.heartbeat_at || job.updated_at || '') < cutoff;
+
+      const reclaimed = [];
+
+      for (const staleJob of (await this.listJobs()).filter(isStale)) {
+        const decision = this.retryPolicy.decide(staleJob.attempt_count, { category: 'lease_expired', retryable: true });
+        const cancelling = staleJob.status === 'cancelling';
+
+        const updated = await this.updateJob(staleJob.id, job => {
+          if (!isStale(job)) return null;
+
+          const update = cancelling
+            ? { status: 'cancelled', cancelled_at: new Date().toISOString() }
+            : {
+              status: decision.retry ? 'waiting_render' : 'failed',
+              attempt_count: decision.attempt,
+              next_attempt_at: decision.retry ? decision.nextAttemptAt : null
+            };
+
+          return { ...update, worker_id: null, heartbeat_at: null, updated_at: new Date().toISOString() };
+        });
+
+        if (updated) {
+          const outcome = cancelling
+            ? 'cancelled'
+            : `attempt ${decision.attempt}, ${decision.retry ? 'requeued' : 'failed'}`;
+          logger.warn(`Reclaimed stale job ${staleJob.id} from worker ${staleJob.worker_id || 'unknown'} (${outcome})`);
+          reclaimed.push(staleJob.id);
+        }
+      }
+
+      await this.cancelRequestedQueuedJobs();
+      return reclaimed;
+
+    } catch (error) {
+      logger.error('Error in reclaimStaleJobs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Mark queued jobs with a cancel request cancelled and notify their workflow
+   * Claiming skips them, so nothing else would ever finalize them
+   * @returns {Promise<number[]>} IDs of cancelled jobs
+   */
+  async cancelRequestedQueuedJobs() {
+    const isCancelRequested = job => job.status === 'waiting_render' && job.cancel_requested === true;
+    const cancelled = [];
+
+    for (const queuedJob of (await this.listJobs()).filter(isCancelRequested)) {
+      const now = new Date().toISOString();
+      const job = await this.updateJob(queuedJob.id, current => isCancelRequested(current)
+        ? { status: 'cancelled', cancelled_at: now, next_attempt_at: null, updated_at: now }
+        : null);
+      if (!job) continue;
+
+      logger.info(`Job ${job.id} cancelled before it was claimed`);
+      if (job.waiting_node_url && this.workflowNotifier) {
+        await this.workflowNotifier.notifyJobCancellation(job.id, job.waiting_node_url, { error_stage: null });
+      }
+      cancelled.push(job.id);
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Mark a job this worker was rendering as cancelled
+   */
+  async markJobCancelled(jobId, context = {}) {
+    try {
+      const now = new Date().toISOString();
+      const job = await this.updateJob(jobId, current => this.isOwned(current, ['rendering', 'cancelling'])
+        ? {
+          status: 'cancelled',
+          cancelled_at: now,
+          error_stage: context.stage || null,
+          worker_id: null,
+          heartbeat_at: null,
+          progress_eta_seconds: null,
+          updated_at: now
+        }
+        : null);
+
+      if (!job) {
+        logger.warn(`Job ${jobId} is no longer owned by ${this.workerConfig.workerId}, not marking it cancelled`);
+        return false;
+      }
+
+      logger.info(`Job ${jobId} cancelled${context.stage ? ` during ${context.stage}` : ''}`);
+
+      if (job.waiting_node_url && this.workflowNotifier) {
+        await this.workflowNotifier.notifyJobCancellation(jobId, job.waiting_node_url, {
+          error_stage: context.stage || null
+        });
+      }
+
+      return true;
+
+    } catch (error) {
+      logger.error(`Error marking job ${jobId} as cancelled:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Hand an unfinished job back to the queue
+   */
+  async releaseJob(jobId, reason = '') {
+    const status = this.workerConfig.interruptedStatus;
+
+    try {
+      const job = await this.updateJob(jobId, current => this.isOwned(current, ['rendering'])
+        ? { status, worker_id: null, heartbeat_at: null, updated_at: new Date().toISOString() }
+        : null);
+
+      if (!job) {
+        logger.warn(`Job ${jobId} was no longer rendering, nothing to release`);
+        return false;
+      }
+
+      logger.info(`Job ${jobId} released back to ${status}${reason ? ` (${reason})` : ''}`);
+      return true;
+
+    } catch (error) {
+      logger.error(`Error releasing job ${jobId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Persist progress of a rendering job
+   */
+  async updateProgress(jobId, progress, currentStep = '', details = {}) {
+    try {
+      const job = await this.updateJob(jobId, current => current.status === 'rendering'
+        ? {
+          progress_percent: progress,
+          progress_step: currentStep,
+          progress_eta_seconds: details.etaSeconds ?? null,
+          updated_at: new Date().toISOString()
+        }
+        : null);
+
+      if (job) {
+        logger.debug(`Job ${jobId} progress saved: ${progress}% - ${currentStep}`);
+      }
+      return true;
+
+    } catch (error) {
+      logger.error(`Error updating progress for job ${jobId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get job by ID
+   */
+  async getJobById(jobId) {
+    try {
+      return await this.readJob(jobId);
+    } catch (error) {
+      logger.error(`Error getting job ${jobId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get jobs by status
+   */
+  async getJobsByStatus(status, limit = 10) {
+    try {
+      return (await this.listJobs())
+        .filter(job => job.status === status)
+        .slice(0, limit);
+    } catch (error) {
+      logger.error(`Error getting jobs by status ${status}:`, error);
+      return [];
+    }
+  }
+
+  isOwned(job, statuses) {
+    return statuses.includes(job.status) && job.worker_id === this.workerConfig.workerId;
+  }
+
+  /**
+   * All jobs in the directory, ordered by ID like the Supabase backend
+   */
+  async listJobs() {
+    const jobs = [];
+
+    for (const file of await fs.readdir(this.jobDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        jobs.push(await fs.readJson(path.join(this.jobDir, file)));
+      } catch (error) {
+        logger.warn(`Skipping unreadable job file ${file}:`, error.message);
+      }
+    }
+
+    return jobs.sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+  }
+
+  async readJob(jobId) {
+    const filePath = this.getJobPath(jobId);
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+    return await fs.readJson(filePath);
+  }
+
+  /**
+   * Read-modify-write a job under its lock
+   * @param {number|string} jobId - Job ID
+   * @param {Function} buildUpdate - Receives the current job, returns the columns to change or null to skip
+   * @returns {Promise<Object|null>} Updated job, or null if missing or skipped
+   */
+  async updateJob(jobId, buildUpdate) {
+    return this.withLock(jobId, async () => {
+      const job = await this.readJob(jobId);
+      if (!job) return null;
+
+      const update = buildUpdate(job);
+      if (!update) return null;
+
+      const updated = { ...job, ...update };
+      const filePath = this.getJobPath(jobId);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+
+      // Write then rename so readers never see a half-written file
+      await fs.writeJson(tempPath, updated, { spaces: 2 });
+      await fs.rename(tempPath, filePath);
+      return updated;
+    });
+  }
+
+  /**
+   * Run fn while holding the job's lock file
+   */
+  async withLock(jobId, fn) {
+    const lockPath = `${this.getJobPath(jobId)}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await fs.writeFile(lockPath, `${this.workerConfig.workerId}\n`, { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const stats = await fs.stat(lockPath).catch(() => null);
+        if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+          logger.warn(`Breaking stale lock on job ${jobId}`);
+          await fs.remove(lockPath);
+          continue;
+        }
+
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for lock on job ${jobId}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.remove(lockPath);
+    }
+  }
+
+  getJobPath(jobId) {
+    return path.join(this.jobDir, `${jobId}.json`);
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Failure columns shared by every job backend
+ */
+export class JobFailure {
+  /**
+   * Build the failure columns written on a failed attempt
+   * @param {Error} error - Error that failed the attempt
+   * @param {Object} context - Where it failed ({ stage })
+   * @param {Object} decision - RetryPolicy decision (uses category)
+   */
+  static buildDetails(error, context, decision) {
+    return {
+      error_message: JobFailure.truncate(error && error.message, 2000),
+      error_category: decision.category,
+      error_stage: context.stage || null,
+      error_stderr: (error && error.stderrTail) || null,
+      failed_at: new Date().toISOString()
+    };
+  }
+
+  static truncate(text, maxLength) {
+    if (!text) return null;
+    return text.length > maxLength ? text.slice(0, maxLength) : text;
+  }
+}
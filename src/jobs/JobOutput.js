@@ -0,0 +1,30 @@
+/**
+ * Output columns shared by every job backend
+ */
+export class JobOutput {
+  /**
+   * Build the columns written when a job completes
+   * Includes the final progress: progress writes only match rows that are still rendering, so the tracker's
+   * own 100% update would arrive after the row is already rendered
+   * Artifact columns are only written when artifacts were uploaded
+   * @param {string} outputUrl - Video URL (or key, see STORAGE_URL_MODE)
+   * @param {Object} metadata - Output metadata ({ checksum, artifacts: { thumbnailUrl, previewUrl, sidecarUrl } })
+   */
+  static buildColumns(outputUrl, metadata = {}) {
+    const columns = {
+      final_video_url: outputUrl,
+      output_sha256: metadata.checksum || null,
+      progress_percent: 100,
+      progress_step: 'Job completed successfully',
+      progress_eta_seconds: null
+    };
+
+    if (metadata.artifacts) {
+      columns.thumbnail_url = metadata.artifacts.thumbnailUrl || null;
+      columns.preview_url = metadata.artifacts.previewUrl || null;
+      columns.sidecar_url = metadata.artifacts.sidecarUrl || null;
+    }
+
+    return columns;
+  }
+}
@@ -1,20 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+
 const LOG_LEVELS = {
+  silent: -1, // Threshold only: disables all output
   error: 0,
   warn: 1,
   info: 2,
   debug: 3
 };
 
+// Per-job log context (jobId, channelId, stage) that follows async calls
+const contextStorage = new AsyncLocalStorage();
+
+function parseLevel(level) {
+  return level in LOG_LEVELS ? LOG_LEVELS[level] : LOG_LEVELS.info;
+}
+
+/**
+ * Append-only log file rotated by size: app.log → app.log.1 → … → app.log.<maxFiles>
+ */
+class RotatingFile {
+  constructor(filePath, maxSize, maxFiles) {
+    this.filePath = filePath;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    this.failed = false;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    this.stream = this.open();
+  }
+
+  // Open synchronously so the file exists as soon as the logger is configured
+  open() {
+    const stream = fs.createWriteStream(null, { fd: fs.openSync(this.filePath, 'a') });
+    // Write errors (ENOSPC, EIO, ...) arrive asynchronously; unhandled they would crash the worker
+    stream.on('error', (error) => this.fail(error));
+    return stream;
+  }
+
+  /**
+   * Stop writing to the file after an error, reporting it once; console output continues
+   */
+  fail(error) {
+    if (this.failed) return;
+    this.failed = true;
+    console.error(`[${new Date().toISOString()}] [ERROR] Log file ${this.filePath} disabled after write error:`, error.message);
+  }
+
+  write(line) {
+    if (this.failed) return;
+
+    const data = `${line}\n`;
+    try {
+      if (this.size > 0 && this.size + Buffer.byteLength(data) > this.maxSize) {
+        this.rotate();
+      }
+      this.stream.write(data);
+      this.size += Buffer.byteLength(data);
+    } catch (error) {
+      // Logging must never take the worker down; console output continues
+      console.error(`[${new Date().toISOString()}] [ERROR] Log file write failed:`, error.message);
+    }
+  }
+
+  rotate() {
+    // Renaming keeps the inode, so writes still buffered in the old stream land in .1
+    this.stream.end();
+
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const source = `${this.filePath}.${index}`;
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${this.filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+
+    this.stream = this.open();
+    this.size = 0;
+  }
+
+  close() {
+    this.stream.end();
+  }
+}
+
 class Logger {
-  constructor(level = 'info') {
-    this.level = LOG_LEVELS[level] || LOG_LEVELS.info;
+  constructor(level = 'info', module = null, root = null) {
+    this.root = root || this;
+    this.module = module;
+
+    if (!root) {
+      this.level = parseLevel(level);
+      this.format = 'text';
+      this.moduleLevels = {};
+      this.baseContext = {};
+      this.file = null;
+    }
+  }
+
+  /**
+   * Apply logging configuration (see Config.logging)
+   * Called once configuration is loaded; until then the logger prints text at LOG_LEVEL
+   * @param {Object} options - level, format ('text' | 'json'), moduleLevels ({ module: level }),
+   *   file, maxSize, maxFiles, context (fields added to every entry, e.g. workerId)
+   */
+  configure(options = {}) {
+    const root = this.root;
+
+    if (options.level) root.level = parseLevel(options.level);
+    if (options.format) root.format = options.format;
+    if (options.moduleLevels) {
+      root.moduleLevels = Object.fromEntries(
+        Object.entries(options.moduleLevels).map(([module, level]) => [module, parseLevel(level)])
+      );
+    }
+    if (options.context) root.baseContext = { ...root.baseContext, ...options.context };
+
+    if (options.file !== undefined) {
+      if (root.file) root.file.close();
+      root.file = options.file
+        ? new RotatingFile(options.file, options.maxSize || 10 * 1024 * 1024, options.maxFiles || 5)
+        : null;
+    }
+  }
+
+  /**
+   * Logger for a module; its level can be overridden through `moduleLevels`
+   */
+  child(module) {
+    return new Logger(null, module, this.root);
+  }
+
+  /**
+   * Run a function with extra context fields attached to every log entry it produces
+   */
+  runWithContext(context, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+  }
+
+  /**
+   * Add fields to the current context (no-op outside runWithContext)
+   */
+  setContext(fields) {
+    const store = contextStorage.getStore();
+    if (store) {
+      Object.assign(store, fields);
+    }
+  }
+
+  isLevelEnabled(level) {
+    const root = this.root;
+    const threshold = this.module && this.module in root.moduleLevels
+      ? root.moduleLevels[this.module]
+      : root.level;
+    return LOG_LEVELS[level] <= threshold;
   }
 
   log(level, message, ...args) {
-    if (LOG_LEVELS[level] <= this.level) {
-      const timestamp = new Date().toISOString();
-      console.log(`[${timestamp}] [${level.toUpperCase()}]`, message, ...args);
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const root = this.root;
+
+    if (root.format === 'json') {
+      const line = JSON.stringify(this.buildEntry(timestamp, level, message, args));
+      console.log(line);
+      if (root.file) root.file.write(line);
+      return;
     }
+
+    // Text lines carry only the job; the full context is in the JSON format
+    const context = contextStorage.getStore();
+    const job = context && context.jobId !== undefined ? ` [job ${context.jobId}]` : '';
+    const prefix = `[${timestamp}] [${level.toUpperCase()}]${job}`;
+    console.log(prefix, message, ...args);
+    if (root.file) root.file.write(util.format(prefix, message, ...args));
+  }
+
+  /**
+   * Build a JSON log entry; Error arguments become a structured `error` field
+   */
+  buildEntry(timestamp, level, message, args) {
+    const values = [message, ...args];
+    const error = values.find(value => value instanceof Error);
+    const text = values.filter(value => !(value instanceof Error));
+
+    const entry = {
+      timestamp,
+      level,
+      module: this.module || undefined,
+      ...this.root.baseContext,
+      ...contextStorage.getStore(),
+      message: util.format(...text).trim()
+    };
+
+    if (error) {
+      entry.error = { message: error.message, code: error.code, stack: error.stack };
+    }
+
+    return entry;
   }
 
   error(message, ...args) {
@@ -34,4 +223,11 @@ class Logger {
   }
 }
 
-export const logger = new Logger(process.env.LOG_LEVEL || 'info'); 
\ No newline at end of file
+export const logger = new Logger(process.env.LOG_LEVEL || 'info');
+
+/**
+ * Get the logger for a module (e.g. 'downloader'), see LOG_MODULE_LEVELS
+ */
+export function createLogger(module) {
+  return logger.child(module);
+}
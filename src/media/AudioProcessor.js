@@ -1,7 +1,10 @@
 import ffmpeg from 'fluent-ffmpeg';
 import path from 'path';
-import { logger } from '../logger.js';
+import { createLogger } from '../logger.js';
 import { IAudioProcessor } from '../interfaces/IAudioProcessor.js';
+import { FFmpegRunner } from './FFmpegRunner.js';
+
+const logger = createLogger('media');
 
 /**
  * Concrete implementation of audio processing operations
@@ -60,8 +63,10 @@ export class AudioProcessor extends IAudioProcessor {
 
   /**
    * Loop audio to specified duration
+   * @param {Object} options - Run options ({ signal } aborts the FFmpeg process, { onProgress } receives FFmpeg progress,
+   *   { onCommand } receives the command line, { dryRun } skips running it)
    */
-  async loopAudio(inputPath, durationMinutes, outputPath = null) {
+  async loopAudio(inputPath, durationMinutes, outputPath = null, options = {}) {
     try {
       const targetDuration = durationMinutes * 60;
       const inputDuration = await this.fileManager.getMediaDuration(inputPath);
@@ -76,33 +81,23 @@ export class AudioProcessor extends IAudioProcessor {
 
       const loops = Math.ceil(targetDuration / inputDuration);
 
-      return new Promise((resolve, reject) => {
-        ffmpeg(inputPath)
-          .inputOptions([`-stream_loop ${loops - 1}`])
-          .outputOptions([
-            '-c:a pcm_s16le',
-            '-ar', this.compressionSettings.sampleRate.toString(),
-            '-ac', this.compressionSettings.channels.toString(),
-            '-t', targetDuration.toString()
-          ])
-          .output(outputPath)
-          .on('start', (cmdline) => {
-            logger.debug('FFmpeg audio command:', cmdline);
-          })
-          .on('progress', (progress) => {
-            if (progress.percent) {
-              logger.debug(`Audio loop progress: ${progress.percent.toFixed(1)}%`);
-            }
-          })
-          .on('end', () => {
-            logger.info(`Audio looping completed: ${outputPath}`);
-            resolve(outputPath);
-          })
-          .on('error', (err) => {
-            logger.error('Audio looping failed:', err);
-            reject(err);
-          })
-          .run();
+      const command = ffmpeg(inputPath)
+        .inputOptions([`-stream_loop ${loops - 1}`])
+        .outputOptions([
+          '-c:a pcm_s16le',
+          '-ar', this.compressionSettings.sampleRate.toString(),
+          '-ac', this.compressionSettings.channels.toString(),
+          '-t', targetDuration.toString()
+        ])
+        .output(outputPath);
+
+      return await FFmpegRunner.run(command, {
+        label: 'Audio looping',
+        outputPath,
+        signal: options.signal,
+        onProgress: options.onProgress,
+        onCommand: options.onCommand,
+        dryRun: options.dryRun
       });
 
     } catch (error) {
@@ -0,0 +1,159 @@
+import fs from 'fs-extra';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('ffmpeg');
+
+// How much of FFmpeg's stderr to keep on failed commands
+const STDERR_TAIL_LINES = 20;
+const STDERR_TAIL_MAX_CHARS = 4000;
+
+/**
+ * Runs fluent-ffmpeg commands as promises
+ * Centralizes logging, abort handling and partial-output cleanup so every
+ * processor behaves the same when a job is interrupted
+ */
+export class FFmpegRunner {
+  /**
+   * Run a prepared FFmpeg command
+   * @param {Object} command - fluent-ffmpeg command with inputs/outputs configured
+   * @param {Object} options - Run options
+   * @param {string} options.label - Human-readable operation name used in logs (e.g. 'Video looping')
+   * @param {string} options.outputPath - Output file, resolved on success and removed on failure
+   * @param {AbortSignal} options.signal - Optional signal that kills the FFmpeg process when aborted
+   * @param {Function} options.onProgress - Optional callback receiving fluent-ffmpeg progress events
+   * @param {Function} options.onCommand - Optional callback receiving (label, commandLine) before FFmpeg starts
+   * @param {boolean} options.dryRun - Report the command through onCommand without running it
+   * @returns {Promise<string>} Output path
+   */
+  static run(command, { label, outputPath, signal = null, onProgress = null, onCommand = null, dryRun = false } = {}) {
+    return new Promise((resolve, reject) => {
+      if (dryRun) {
+        FFmpegRunner.reportCommand(onCommand, label, FFmpegRunner.formatCommand(command));
+        resolve(outputPath);
+        return;
+      }
+
+      if (signal && signal.aborted) {
+        reject(new Error(`${label} aborted before start: ${signal.reason}`));
+        return;
+      }
+
+      const onAbort = () => {
+        logger.warn(`${label} aborted (${signal.reason}), killing FFmpeg process`);
+        command.kill('SIGKILL');
+      };
+
+      const detach = () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      command
+        .on('start', (cmdline) => {
+          logger.debug(`FFmpeg ${label.toLowerCase()} command:`, cmdline);
+          FFmpegRunner.reportCommand(onCommand, label, cmdline);
+        })
+        .on('progress', (progress) => {
+          if (progress.percent) {
+            logger.debug(`${label} progress: ${progress.percent.toFixed(1)}%`);
+          }
+          if (onProgress) {
+            try {
+              onProgress(progress);
+            } catch (error) {
+              logger.warn(`${label} progress callback failed:`, error.message);
+            }
+          }
+        })
+        .on('end', () => {
+          detach();
+          logger.info(`${label} completed: ${outputPath}`);
+          resolve(outputPath);
+        })
+        .on('error', async (err, stdout, stderr) => {
+          detach();
+
+          const error = signal && signal.aborted
+            ? new Error(`${label} aborted: ${signal.reason}`)
+            : err;
+          error.stderrTail = FFmpegRunner.getStderrTail(stderr);
+
+          logger.error(`${label} failed:`, error.message);
+          await FFmpegRunner.removePartialOutput(outputPath);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Build the command line a fluent-ffmpeg command would run, quoting arguments for a POSIX shell
+   * @param {Object} command - fluent-ffmpeg command with inputs/outputs configured
+   * @returns {string} Command line
+   */
+  static formatCommand(command) {
+    const quote = (arg) => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+    return ['ffmpeg', ...command._getArguments().map(String)].map(quote).join(' ');
+  }
+
+  static reportCommand(onCommand, label, commandLine) {
+    if (!onCommand) return;
+
+    try {
+      onCommand(label, commandLine);
+    } catch (error) {
+      logger.warn(`${label} command callback failed:`, error.message);
+    }
+  }
+
+  /**
+   * Convert an FFmpeg timemark (HH:MM:SS.ms) to seconds
+   * @param {string} timemark - Timemark from a fluent-ffmpeg progress event
+   * @returns {number} Seconds, 0 if the timemark can't be parsed
+   */
+  static parseTimemark(timemark) {
+    if (!timemark || typeof timemark !== 'string') return 0;
+
+    const seconds = timemark
+      .split(':')
+      .reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+  }
+
+  /**
+   * Keep the last lines of FFmpeg's stderr for failure diagnostics
+   * @param {string} stderr - Full stderr output
+   * @returns {string|null} Tail of stderr or null if empty
+   */
+  static getStderrTail(stderr) {
+    if (!stderr) return null;
+
+    const tail = stderr
+      .trim()
+      .split('\n')
+      .slice(-STDERR_TAIL_LINES)
+      .join('\n');
+
+    return tail.slice(-STDERR_TAIL_MAX_CHARS);
+  }
+
+  /**
+   * Remove an incomplete output file left behind by a failed or killed command
+   */
+  static async removePartialOutput(outputPath) {
+    try {
+      if (outputPath && await fs.pathExists(outputPath)) {
+        await fs.remove(outputPath);
+        logger.debug(`Removed partial output: ${outputPath}`);
+      }
+    } catch (error) {
+      logger.error(`Error removing partial output ${outputPath}:`, error);
+    }
+  }
+}
@@ -2,9 +2,11 @@ import fs from 'fs-extra';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import ffmpeg from 'fluent-ffmpeg';
-import { logger } from '../logger.js';
+import { createLogger } from '../logger.js';
 import { IFileManager } from '../interfaces/IFileManager.js';
 
+const logger = createLogger('media');
+
 /**
  * Concrete implementation of file management operations
  * Follows Single Responsibility Principle - only handles file operations
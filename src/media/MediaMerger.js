@@ -1,7 +1,10 @@
 import ffmpeg from 'fluent-ffmpeg';
 import path from 'path';
-import { logger } from '../logger.js';
+import { createLogger } from '../logger.js';
 import { IMediaMerger } from '../interfaces/IMediaMerger.js';
+import { FFmpegRunner } from './FFmpegRunner.js';
+
+const logger = createLogger('media');
 
 /**
  * Concrete implementation of media merging operations
@@ -30,6 +33,8 @@ export class MediaMerger extends IMediaMerger {
 
   /**
    * Merge video and audio files
+   * @param {Object} options - Merge option overrides; { signal } aborts the FFmpeg process, { onProgress } receives FFmpeg progress,
+   *   { onCommand } receives the command line, { dryRun } skips running it
    */
   async mergeVideoAudio(videoPath, audioPath, outputPath, options = {}) {
     try {
@@ -40,57 +45,48 @@ export class MediaMerger extends IMediaMerger {
 
       logger.info(`Merging video and audio: ${path.basename(videoPath)} + ${path.basename(audioPath)}`);
 
-      return new Promise((resolve, reject) => {
-        const mergeOptions = {
-          videoCopy: true,
-          audioBitrate: this.compressionSettings.audioBitrate,
-          audioCodec: 'aac',
-          fastStart: true,
-          shortest: true,
-          ...options
-        };
-
-        let command = ffmpeg()
-          .input(videoPath)
-          .input(audioPath);
-
-        const outputOptions = [];
-
-        if (mergeOptions.videoCopy) {
-          outputOptions.push('-c:v copy');
-        }
-        
-        outputOptions.push('-c:a', mergeOptions.audioCodec);
-        outputOptions.push('-b:a', mergeOptions.audioBitrate);
-        
-        if (mergeOptions.fastStart) {
-          outputOptions.push('-movflags +faststart');
-        }
-        
-        if (mergeOptions.shortest) {
-          outputOptions.push('-shortest');
-        }
-
-        command
-          .outputOptions(outputOptions)
-          .output(outputPath)
-          .on('start', (cmdline) => {
-            logger.debug('FFmpeg merge command:', cmdline);
-          })
-          .on('progress', (progress) => {
-            if (progress.percent) {
-              logger.debug(`Merge progress: ${progress.percent.toFixed(1)}%`);
-            }
-          })
-          .on('end', () => {
-            logger.info(`Video and audio merged successfully: ${outputPath}`);
-            resolve(outputPath);
-          })
-          .on('error', (err) => {
-            logger.error('Merge failed:', err);
-            reject(err);
-          })
-          .run();
+      const { signal = null, onProgress = null, onCommand = null, dryRun = false, ...overrides } = options;
+      const mergeOptions = {
+        videoCopy: true,
+        audioBitrate: this.compressionSettings.audioBitrate,
+        audioCodec: 'aac',
+        fastStart: true,
+        shortest: true,
+        ...overrides
+      };
+
+      const command = ffmpeg()
+        .input(videoPath)
+        .input(audioPath);
+
+      const outputOptions = [];
+
+      if (mergeOptions.videoCopy) {
+        outputOptions.push('-c:v copy');
+      }
+      
+      outputOptions.push('-c:a', mergeOptions.audioCodec);
+      outputOptions.push('-b:a', mergeOptions.audioBitrate);
+      
+      if (mergeOptions.fastStart) {
+        outputOptions.push('-movflags +faststart');
+      }
+      
+      if (mergeOptions.shortest) {
+        outputOptions.push('-shortest');
+      }
+
+      command
+        .outputOptions(outputOptions)
+        .output(outputPath);
+
+      return await FFmpegRunner.run(command, {
+        label: 'Merge',
+        outputPath,
+        signal,
+        onProgress,
+        onCommand,
+        dryRun
       });
 
     } catch (error) {
@@ -1,5 +1,8 @@
 import path from 'path';
-import { logger } from '../logger.js';
+import { createLogger } from '../logger.js';
+import { FFmpegRunner } from './FFmpegRunner.js';
+
+const logger = createLogger('media');
 
 /**
  * MediaOrchestrator coordinates media processing operations
@@ -22,19 +25,41 @@ export class MediaOrchestrator {
   /**
    * Complete media processing pipeline: loop video and audio, then merge
    * This is the main orchestration method
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Aborts every FFmpeg step
+   * @param {Function} options.onProgress - Called as (step, fraction) with step 'loop_video', 'loop_audio' or 'merge'
+   *   and fraction (0-1) measured as FFmpeg timemark against the target duration
+   * @param {Function} options.onCommand - Called as (label, commandLine) for every FFmpeg command
+   * @param {boolean} options.dryRun - Build and report the FFmpeg commands without running them
    */
-  async processMedia(videoPath, audioPath, durationMinutes, outputPath = null) {
+  async processMedia(videoPath, audioPath, durationMinutes, outputPath = null, options = {}) {
+    const { signal = null, onProgress = null, onCommand = null, dryRun = false } = options;
+    const targetSeconds = durationMinutes * 60;
+
+    // fluent-ffmpeg's own percent is relative to the (unlooped) input duration, so use the timemark
+    const reportStep = (step) => onProgress
+      ? (progress) => onProgress(step, FFmpegRunner.parseTimemark(progress.timemark) / targetSeconds)
+      : null;
+    const completeStep = (step) => onProgress && onProgress(step, 1);
+
     let loopedVideoPath = null;
     let loopedAudioPath = null;
 
     try {
       logger.info(`Starting media processing pipeline for ${durationMinutes} minutes`);
 
-      // Loop video and audio in parallel for maximum speed
+      // Loop video and audio in parallel for maximum speed; each step completes when its own FFmpeg run ends,
+      // so its duration isn't stretched to the slower one
       logger.info('Starting parallel video and audio looping...');
+      const completeWith = (step) => (filePath) => {
+        completeStep(step);
+        return filePath;
+      };
       [loopedVideoPath, loopedAudioPath] = await Promise.all([
-        this.videoProcessor.loopVideo(videoPath, durationMinutes),
-        this.audioProcessor.loopAudio(audioPath, durationMinutes)
+        this.videoProcessor.loopVideo(videoPath, durationMinutes, null, { signal, onCommand, dryRun, onProgress: reportStep('loop_video') })
+          .then(completeWith('loop_video')),
+        this.audioProcessor.loopAudio(audioPath, durationMinutes, null, { signal, onCommand, dryRun, onProgress: reportStep('loop_audio') })
+          .then(completeWith('loop_audio'))
       ]);
 
       // Merge the looped video and audio
@@ -42,8 +67,10 @@ export class MediaOrchestrator {
       const finalOutputPath = await this.mediaMerger.mergeVideoAudio(
         loopedVideoPath, 
         loopedAudioPath, 
-        outputPath
+        outputPath,
+        { signal, onCommand, dryRun, onProgress: reportStep('merge') }
       );
+      completeStep('merge');
 
       // Cleanup temporary files
       await this.fileManager.cleanup([loopedVideoPath, loopedAudioPath]);
@@ -86,6 +113,39 @@ export class MediaOrchestrator {
     }
   }
 
+  /**
+   * Create the poster thumbnail and preview clip of a rendered video, next to it
+   * @param {string} outputPath - Rendered video
+   * @param {Object} metadata - getOutputMetadata() result (duration bounds the thumbnail position)
+   * @param {Object} options - { thumbnailAt, thumbnailWidth, previewDuration, previewHeight, signal, onCommand, dryRun }
+   * @returns {Promise<{thumbnailPath: string, previewPath: string}>} Artifact paths
+   */
+  async generateArtifacts(outputPath, metadata = {}, options = {}) {
+    const { thumbnailAt = 5, thumbnailWidth = 1280, previewDuration = 15, previewHeight = 480, signal = null, onCommand = null, dryRun = false } = options;
+    const base = path.join(path.dirname(outputPath), path.basename(outputPath, path.extname(outputPath)));
+    const thumbnailPath = `${base}_thumbnail.jpg`;
+    const previewPath = `${base}_preview.mp4`;
+
+    // Short videos: take the poster from the middle instead of seeking past the end
+    const atSeconds = metadata.duration ? Math.min(thumbnailAt, metadata.duration / 2) : thumbnailAt;
+
+    try {
+      await this.videoProcessor.extractThumbnail(outputPath, thumbnailPath, {
+        atSeconds, width: thumbnailWidth, signal, onCommand, dryRun
+      });
+      await this.videoProcessor.createPreview(outputPath, previewPath, {
+        durationSeconds: previewDuration, height: previewHeight, signal, onCommand, dryRun
+      });
+    } catch (error) {
+      logger.error('Error generating artifacts:', error);
+      await this.fileManager.cleanup([thumbnailPath, previewPath]);
+      throw error;
+    }
+
+    logger.info(`Artifacts generated: ${path.basename(thumbnailPath)}, ${path.basename(previewPath)}`);
+    return { thumbnailPath, previewPath };
+  }
+
   /**
    * Initialize required directories
    */
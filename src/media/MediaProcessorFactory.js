@@ -1,10 +1,12 @@
-import { logger } from '../logger.js';
+import { createLogger } from '../logger.js';
 import { FileManager } from './FileManager.js';
 import { VideoProcessor } from './VideoProcessor.js';
 import { AudioProcessor } from './AudioProcessor.js';
 import { MediaMerger } from './MediaMerger.js';
 import { MediaOrchestrator } from './MediaOrchestrator.js';
 
+const logger = createLogger('media');
+
 /**
  * Factory for creating MediaOrchestrator instances with proper dependency injection
  * Follows Factory pattern and Dependency Inversion Principle
@@ -112,14 +114,17 @@ export class MediaProcessorFactory {
   /**
    * Create MediaOrchestrator with preset compression settings
    * Uses dependency injection to wire all components
+   * @param {Object} overrides - Settings merged over the preset (e.g. threads)
    */
-  static createWithPreset(presetName, outputDir = './output', tempDir = './temp') {
+  static createWithPreset(presetName, outputDir = './output', tempDir = './temp', overrides = {}) {
     const presets = MediaProcessorFactory.getCompressionPresets();
-    const settings = presets[presetName];
+    const preset = presets[presetName];
     
-    if (!settings) {
+    if (!preset) {
       throw new Error(`Unknown compression preset: ${presetName}. Available: ${Object.keys(presets).join(', ')}`);
     }
+
+    const settings = { ...preset, ...overrides };
     
     logger.info(`Creating MediaOrchestrator with preset: ${presetName} (CRF: ${settings.crf}, Max height: ${settings.maxHeight || 'original'})`);
     
@@ -162,8 +167,8 @@ export class MediaProcessorFactory {
   /**
    * Backward compatibility: create with same interface as old MediaProcessor
    */
-  static withPreset(presetName, outputDir = './output', tempDir = './temp') {
-    const orchestrator = MediaProcessorFactory.createWithPreset(presetName, outputDir, tempDir);
+  static withPreset(presetName, outputDir = './output', tempDir = './temp', overrides = {}) {
+    const orchestrator = MediaProcessorFactory.createWithPreset(presetName, outputDir, tempDir, overrides);
     
     // Add backward compatibility methods
     orchestrator.getCompressionPresets = MediaProcessorFactory.getCompressionPresets;
@@ -1,7 +1,10 @@
 import ffmpeg from 'fluent-ffmpeg';
 import path from 'path';
-import { logger } from '../logger.js';
+import { createLogger } from '../logger.js';
 import { IVideoProcessor } from '../interfaces/IVideoProcessor.js';
+import { FFmpegRunner } from './FFmpegRunner.js';
+
+const logger = createLogger('media');
 
 /**
  * Concrete implementation of video processing operations
@@ -20,6 +23,7 @@ export class VideoProcessor extends IVideoProcessor {
       maxHeight: 1080,
       bframes: 2,
       gopSize: 12,
+      threads: 0,
       ...compressionSettings
     };
     this.setupFFmpeg();
@@ -87,8 +91,10 @@ export class VideoProcessor extends IVideoProcessor {
 
   /**
    * Loop video to specified duration
+   * @param {Object} options - Run options ({ signal } aborts the FFmpeg process, { onProgress } receives FFmpeg progress,
+   *   { onCommand } receives the command line, { dryRun } skips running it)
    */
-  async loopVideo(inputPath, durationMinutes, outputPath = null) {
+  async loopVideo(inputPath, durationMinutes, outputPath = null, options = {}) {
     try {
       const targetDuration = durationMinutes * 60;
       const inputDuration = await this.fileManager.getMediaDuration(inputPath);
@@ -104,63 +110,52 @@ export class VideoProcessor extends IVideoProcessor {
 
       const loops = Math.ceil(targetDuration / inputDuration);
       
-      return new Promise((resolve, reject) => {
-        let command = ffmpeg(inputPath);
-
-        if (loops > 10) {
-          command = command.inputOptions([`-stream_loop ${loops - 1}`]);
-        } else {
-          const inputs = Array(loops).fill(inputPath);
-          command = ffmpeg();
-          inputs.forEach(input => command.input(input));
-          command = command.complexFilter([
-            `concat=n=${loops}:v=1:a=0[outv]`
-          ]).outputOptions(['-map [outv]']);
-        }
+      let command = ffmpeg(inputPath);
 
-        const outputOptions = [
-          '-c:v libx264',
-          '-preset', this.compressionSettings.preset,
-          '-crf', this.compressionSettings.crf.toString(),
-          '-profile:v', this.compressionSettings.profile,
-          '-level', this.compressionSettings.level,
-          '-pix_fmt yuv420p',
-          '-movflags +faststart',
-          '-threads 0',
-          '-t', targetDuration.toString()
-        ];
-
-        if (this.compressionSettings.bframes) {
-          outputOptions.push('-bf', this.compressionSettings.bframes.toString());
-        }
-        if (this.compressionSettings.gopSize) {
-          outputOptions.push('-g', this.compressionSettings.gopSize.toString());
-        }
+      if (loops > 10) {
+        command = command.inputOptions([`-stream_loop ${loops - 1}`]);
+      } else {
+        const inputs = Array(loops).fill(inputPath);
+        command = ffmpeg();
+        inputs.forEach(input => command.input(input));
+        command = command.complexFilter([
+          `concat=n=${loops}:v=1:a=0[outv]`
+        ]).outputOptions(['-map [outv]']);
+      }
 
-        const scaleFilter = this.getVideoScaleFilter(videoInfo);
-        if (scaleFilter) {
-          outputOptions.push('-vf', scaleFilter);
-        }
+      const outputOptions = [
+        '-c:v libx264',
+        '-preset', this.compressionSettings.preset,
+        '-crf', this.compressionSettings.crf.toString(),
+        '-profile:v', this.compressionSettings.profile,
+        '-level', this.compressionSettings.level,
+        '-pix_fmt yuv420p',
+        '-movflags +faststart',
+        '-threads', this.compressionSettings.threads.toString(),
+        '-t', targetDuration.toString()
+      ];
 
-        command.outputOptions(outputOptions)
-          .output(outputPath)
-          .on('start', (cmdline) => {
-            logger.debug('FFmpeg video command:', cmdline);
-          })
-          .on('progress', (progress) => {
-            if (progress.percent) {
-              logger.debug(`Video loop progress: ${progress.percent.toFixed(1)}%`);
-            }
-          })
-          .on('end', () => {
-            logger.info(`Video looping completed: ${outputPath}`);
-            resolve(outputPath);
-          })
-          .on('error', (err) => {
-            logger.error('Video looping failed:', err);
-            reject(err);
-          })
-          .run();
+      if (this.compressionSettings.bframes) {
+        outputOptions.push('-bf', this.compressionSettings.bframes.toString());
+      }
+      if (this.compressionSettings.gopSize) {
+        outputOptions.push('-g', this.compressionSettings.gopSize.toString());
+      }
+
+      const scaleFilter = this.getVideoScaleFilter(videoInfo);
+      if (scaleFilter) {
+        outputOptions.push('-vf', scaleFilter);
+      }
+
+      command.outputOptions(outputOptions).output(outputPath);
+
+      return await FFmpegRunner.run(command, {
+        label: 'Video looping',
+        outputPath,
+        signal: options.signal,
+        onProgress: options.onProgress,
+        onCommand: options.onCommand,
+        dryRun: options.dryRun
       });
 
     } catch (error) {
@@ -169,6 +164,62 @@ export class VideoProcessor extends IVideoProcessor {
     }
   }
 
+  /**
+   * Grab a single frame as a JPEG poster
+   * @param {Object} options - { atSeconds, width, signal, onCommand, dryRun }
+   */
+  async extractThumbnail(inputPath, outputPath, options = {}) {
+    const { atSeconds = 0, width = 1280 } = options;
+
+    const command = ffmpeg(inputPath)
+      .inputOptions(['-ss', atSeconds.toString()])
+      .outputOptions([
+        '-frames:v 1',
+        '-vf', `scale=${width}:-2`,
+        '-q:v 2'
+      ])
+      .output(outputPath);
+
+    return await FFmpegRunner.run(command, {
+      label: 'Thumbnail',
+      outputPath,
+      signal: options.signal,
+      onCommand: options.onCommand,
+      dryRun: options.dryRun
+    });
+  }
+
+  /**
+   * Encode a short, downscaled clip from the start of the video
+   * @param {Object} options - { durationSeconds, height, signal, onCommand, dryRun }
+   */
+  async createPreview(inputPath, outputPath, options = {}) {
+    const { durationSeconds = 15, height = 480 } = options;
+
+    const command = ffmpeg(inputPath)
+      .outputOptions([
+        '-t', durationSeconds.toString(),
+        '-c:v libx264',
+        '-preset', this.compressionSettings.preset,
+        '-crf 28',
+        '-vf', `scale=-2:${height}`,
+        '-pix_fmt yuv420p',
+        '-c:a aac',
+        '-b:a 96k',
+        '-movflags +faststart',
+        '-threads', this.compressionSettings.threads.toString()
+      ])
+      .output(outputPath);
+
+    return await FFmpegRunner.run(command, {
+      label: 'Preview clip',
+      outputPath,
+      signal: options.signal,
+      onCommand: options.onCommand,
+      dryRun: options.dryRun
+    });
+  }
+
   /**
    * Apply video filters/transformations
    */
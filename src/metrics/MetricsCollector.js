@@ -0,0 +1,146 @@
+import client from 'prom-client';
+import { config } from '../config/Config.js';
+import { ErrorClassifier } from '../errors/ErrorClassifier.js';
+
+const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200];
+const SIZE_BUCKETS = [1e7, 5e7, 1e8, 2.5e8, 5e8, 1e9, 2.5e9, 5e9, 1e10, 2.5e10];
+const SPEED_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 50, 100, 200];
+
+/**
+ * Metrics collector - implements Single Responsibility Principle
+ * Turns ProgressTracker, MediaDownloader and uploader events into Prometheus metrics
+ */
+export class MetricsCollector {
+  constructor(metricsConfig = null, classifier = null) {
+    this.config = metricsConfig || config.getComponentConfig('metrics');
+    this.classifier = classifier || new ErrorClassifier();
+    this.registry = new client.Registry();
+
+    const prefix = this.config.prefix;
+    const registers = [this.registry];
+
+    if (this.config.defaultMetrics) {
+      client.collectDefaultMetrics({ register: this.registry, prefix });
+    }
+
+    this.jobsClaimed = new client.Counter({
+      name: `${prefix}jobs_claimed_total`,
+      help: 'Jobs claimed by this worker',
+      registers
+    });
+    this.jobsCompleted = new client.Counter({
+      name: `${prefix}jobs_completed_total`,
+      help: 'Jobs rendered and uploaded successfully',
+      registers
+    });
+    this.jobsFailed = new client.Counter({
+      name: `${prefix}jobs_failed_total`,
+      help: 'Render attempts that failed, by error category and stage',
+      labelNames: ['category', 'stage'],
+      registers
+    });
+    this.jobsInterrupted = new client.Counter({
+      name: `${prefix}jobs_interrupted_total`,
+      help: 'Render attempts interrupted by shutdown, lease loss or cancellation',
+      labelNames: ['reason'],
+      registers
+    });
+    this.jobDuration = new client.Histogram({
+      name: `${prefix}job_duration_seconds`,
+      help: 'Wall-clock duration of successful jobs',
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+    this.stageDuration = new client.Histogram({
+      name: `${prefix}stage_duration_seconds`,
+      help: 'Duration of render stages (download, loop_video, loop_audio, merge, artifacts, upload)',
+      labelNames: ['stage'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+    this.encodeSpeed = new client.Histogram({
+      name: `${prefix}ffmpeg_speed_ratio`,
+      help: 'FFmpeg encode speed factor (seconds of output per wall-clock second)',
+      labelNames: ['step'],
+      buckets: SPEED_BUCKETS,
+      registers
+    });
+    this.bytesDownloaded = new client.Counter({
+      name: `${prefix}downloaded_bytes_total`,
+      help: 'Bytes of source media downloaded',
+      registers
+    });
+    this.bytesUploaded = new client.Counter({
+      name: `${prefix}uploaded_bytes_total`,
+      help: 'Bytes of rendered output uploaded',
+      registers
+    });
+    this.outputSize = new client.Histogram({
+      name: `${prefix}output_size_bytes`,
+      help: 'Size of rendered output files',
+      buckets: SIZE_BUCKETS,
+      registers
+    });
+  }
+
+  /**
+   * Record lifecycle, stage timing and encode speed of one job
+   * @param {ProgressTracker} tracker - Tracker of a job that is about to start
+   */
+  attachTracker(tracker) {
+    const { events } = tracker;
+
+    events.on('started', () => this.jobsClaimed.inc());
+
+    events.on('timing', ({ phase, durationSeconds, speed }) => {
+      this.stageDuration.observe({ stage: phase }, durationSeconds);
+      if (speed) {
+        this.encodeSpeed.observe({ step: phase }, speed);
+      }
+    });
+
+    events.on('completed', ({ durationSeconds, fileSize }) => {
+      this.jobsCompleted.inc();
+      this.jobDuration.observe(durationSeconds);
+      if (fileSize) {
+        this.outputSize.observe(fileSize);
+      }
+    });
+
+    events.on('failed', ({ error, stage }) => {
+      const { category } = this.classifier.classify(error);
+      this.jobsFailed.inc({ category, stage: stage || 'unknown' });
+    });
+
+    events.on('interrupted', ({ reason }) => this.jobsInterrupted.inc({ reason: String(reason) }));
+  }
+
+  /**
+   * Count downloaded bytes
+   * @param {MediaDownloader} downloader - Downloader emitting `downloaded` events
+   */
+  attachDownloader(downloader) {
+    if (!downloader.events) return;
+    downloader.events.on('downloaded', ({ bytes }) => this.bytesDownloaded.inc(bytes));
+  }
+
+  /**
+   * Count uploaded bytes
+   * @param {Object} uploader - Uploader emitting `uploaded` events
+   */
+  attachUploader(uploader) {
+    if (!uploader.events) return;
+    uploader.events.on('uploaded', ({ bytes }) => this.bytesUploaded.inc(bytes));
+  }
+
+  /**
+   * Metrics in Prometheus text exposition format
+   */
+  async getMetrics() {
+    return await this.registry.metrics();
+  }
+
+  getContentType() {
+    return this.registry.contentType;
+  }
+}
@@ -0,0 +1,83 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('notifier');
+
+/**
+ * File-based log of failed webhook deliveries
+ * One JSON file per event so failed deliveries survive restarts and can be replayed;
+ * the file is removed once the event is delivered
+ */
+export class DeliveryLog {
+  constructor(logDir) {
+    this.logDir = logDir;
+  }
+
+  /**
+   * Write (or overwrite) the record of a delivery
+   * Never throws: losing a log entry must not fail the notification itself
+   * @param {Object} delivery - Delivery record, keyed by delivery.id
+   */
+  async record(delivery) {
+    try {
+      await fs.ensureDir(this.logDir);
+      await fs.writeJson(this.getPath(delivery.id), delivery, { spaces: 2 });
+    } catch (error) {
+      logger.error(`Error writing webhook delivery log for ${delivery.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove the record of a delivery, e.g. once a replay got through
+   * Never throws, like record()
+   */
+  async remove(deliveryId) {
+    try {
+      await fs.remove(this.getPath(deliveryId));
+    } catch (error) {
+      logger.error(`Error removing webhook delivery log for ${deliveryId}:`, error.message);
+    }
+  }
+
+  /**
+   * Load a single delivery record
+   * @returns {Promise<Object|null>} Delivery record or null if unknown
+   */
+  async get(deliveryId) {
+    const filePath = this.getPath(deliveryId);
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+    return await fs.readJson(filePath);
+  }
+
+  /**
+   * List deliveries that ran out of attempts, oldest first
+   */
+  async listFailed() {
+    if (!await fs.pathExists(this.logDir)) {
+      return [];
+    }
+
+    const deliveries = [];
+    for (const file of await fs.readdir(this.logDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const delivery = await fs.readJson(path.join(this.logDir, file));
+        if (delivery.status === 'failed') {
+          deliveries.push(delivery);
+        }
+      } catch (error) {
+        logger.warn(`Skipping unreadable webhook delivery log ${file}:`, error.message);
+      }
+    }
+
+    return deliveries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  getPath(deliveryId) {
+    return path.join(this.logDir, `${deliveryId}.json`);
+  }
+}
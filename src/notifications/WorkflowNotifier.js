@@ -1,18 +1,34 @@
-import { logger } from '../logger.js';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../logger.js';
+import { config } from '../config/Config.js';
 import { IWorkflowNotifier } from '../interfaces/IWorkflowNotifier.js';
+import { ErrorClassifier } from '../errors/ErrorClassifier.js';
+import { RetryPolicy } from '../retry/RetryPolicy.js';
+import { DeliveryLog } from './DeliveryLog.js';
+
+const logger = createLogger('notifier');
 
 /**
  * Concrete implementation of workflow notifier for n8n and similar systems
  * Follows Single Responsibility Principle - only handles workflow notifications
  * Uses dependency injection for HTTP client (Dependency Inversion Principle)
+ *
+ * Completion and failure events are retried with backoff, signed with
+ * WEBHOOK_SECRET and recorded in a delivery log so they can be replayed.
+ * Progress events are signed but sent once and not logged.
  */
 export class WorkflowNotifier extends IWorkflowNotifier {
-  constructor(httpClient) {
+  constructor(httpClient, webhookConfig = null, deliveryLog = null) {
     super();
     if (!httpClient) {
       throw new Error('HttpClient is required for WorkflowNotifier');
     }
     this.httpClient = httpClient;
+    this.config = webhookConfig || config.getComponentConfig('webhook');
+    this.deliveryLog = deliveryLog || new DeliveryLog(this.config.deliveryLogDir);
+    this.backoff = new RetryPolicy(this.config);
+    this.classifier = new ErrorClassifier();
   }
 
   /**
@@ -30,15 +46,14 @@ export class WorkflowNotifier extends IWorkflowNotifier {
         ...additionalData
       };
 
-      const response = await this.httpClient.post(notificationUrl, payload);
+      const delivered = await this.deliver('job.completed', jobId, notificationUrl, payload);
 
-      if (response.success) {
-        logger.info(`Workflow completion notification sent successfully for job ${jobId}, response status: ${response.status}`);
-        return true;
+      if (delivered) {
+        logger.info(`Workflow completion notification sent successfully for job ${jobId}`);
       } else {
-        logger.error(`Failed to send workflow completion notification for job ${jobId}: ${response.error}`);
-        return false;
+        logger.error(`Failed to send workflow completion notification for job ${jobId}, delivery logged for replay`);
       }
+      return delivered;
 
     } catch (error) {
       // Don't fail the job completion if workflow notification fails
@@ -62,15 +77,14 @@ export class WorkflowNotifier extends IWorkflowNotifier {
         ...additionalData
       };
 
-      const response = await this.httpClient.post(notificationUrl, payload);
+      const delivered = await this.deliver('job.failed', jobId, notificationUrl, payload);
 
-      if (response.success) {
-        logger.info(`Workflow failure notification sent successfully for job ${jobId}, response status: ${response.status}`);
-        return true;
+      if (delivered) {
+        logger.info(`Workflow failure notification sent successfully for job ${jobId}`);
       } else {
-        logger.error(`Failed to send workflow failure notification for job ${jobId}: ${response.error}`);
-        return false;
+        logger.error(`Failed to send workflow failure notification for job ${jobId}, delivery logged for replay`);
       }
+      return delivered;
 
     } catch (notificationError) {
       logger.error(`Error sending workflow failure notification for job ${jobId}:`, notificationError.message);
@@ -78,6 +92,35 @@ export class WorkflowNotifier extends IWorkflowNotifier {
     }
   }
 
+  /**
+   * Notify external workflow that a job was cancelled
+   */
+  async notifyJobCancellation(jobId, notificationUrl, additionalData = {}) {
+    try {
+      logger.info(`Triggering workflow cancellation notification for job ${jobId}: ${notificationUrl}`);
+
+      const payload = {
+        jobId: jobId,
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        ...additionalData
+      };
+
+      const delivered = await this.deliver('job.cancelled', jobId, notificationUrl, payload);
+
+      if (delivered) {
+        logger.info(`Workflow cancellation notification sent successfully for job ${jobId}`);
+      } else {
+        logger.error(`Failed to send workflow cancellation notification for job ${jobId}, delivery logged for replay`);
+      }
+      return delivered;
+
+    } catch (error) {
+      logger.error(`Error sending workflow cancellation notification for job ${jobId}:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Notify external workflow of job progress
    */
@@ -94,19 +137,149 @@ export class WorkflowNotifier extends IWorkflowNotifier {
         ...additionalData
       };
 
-      const response = await this.httpClient.post(notificationUrl, payload);
+      // Progress is superseded by the next update, so no retries and no delivery log
+      const delivered = await this.deliver('job.progress', jobId, notificationUrl, payload, { retry: false, persist: false });
 
-      if (response.success) {
+      if (delivered) {
         logger.debug(`Workflow progress notification sent successfully for job ${jobId}`);
-        return true;
       } else {
-        logger.warn(`Failed to send workflow progress notification for job ${jobId}: ${response.error}`);
-        return false;
+        logger.warn(`Failed to send workflow progress notification for job ${jobId}`);
       }
+      return delivered;
 
     } catch (error) {
       logger.warn(`Error sending workflow progress notification for job ${jobId}:`, error.message);
       return false;
     }
   }
+
+  /**
+   * Deliver a new webhook event
+   * @param {string} event - Event type (job.completed, job.failed, job.cancelled, job.progress)
+   * @param {number} jobId - Job ID
+   * @param {string} url - Webhook URL
+   * @param {Object} payload - JSON payload
+   * @param {Object} options - Delivery options
+   * @param {boolean} options.retry - Retry transient failures with backoff
+   * @param {boolean} options.persist - Record the delivery in the delivery log if it fails
+   * @returns {Promise<boolean>} Whether the endpoint accepted the event
+   */
+  async deliver(event, jobId, url, payload, { retry = true, persist = true } = {}) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const delivery = {
+      id,
+      event,
+      jobId,
+      url,
+      payload: { ...payload, event_id: id },
+      status: 'pending',
+      attempts: 0,
+      lastStatus: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return await this.attemptDelivery(delivery, retry ? this.config.maxAttempts : 1, persist);
+  }
+
+  /**
+   * POST a delivery until it succeeds, fails permanently or runs out of attempts
+   * The event id doubles as idempotency key, so retries and replays are recognizable
+   * Only failed deliveries are kept in the delivery log, so it doesn't grow with every event sent
+   */
+  async attemptDelivery(delivery, maxAttempts, persist) {
+    const body = JSON.stringify(delivery.payload);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      delivery.attempts++;
+      const response = await this.httpClient.post(delivery.url, body, {
+        headers: this.buildHeaders(delivery, body)
+      });
+
+      delivery.lastStatus = response.status;
+      delivery.updatedAt = new Date().toISOString();
+
+      if (response.success) {
+        delivery.status = 'delivered';
+        delivery.lastError = null;
+        // Drops the record of a replayed delivery
+        if (persist && delivery.attempts > 1) await this.deliveryLog.remove(delivery.id);
+        return true;
+      }
+
+      delivery.lastError = response.error;
+
+      // 4xx other than 408/429 means the endpoint rejected the event, retrying won't help
+      const transient = !response.status || this.classifier.isTransientHttpStatus(response.status);
+      if (!transient || attempt === maxAttempts) {
+        break;
+      }
+
+      const delay = this.backoff.getBackoffDelay(attempt);
+      logger.warn(`Webhook ${delivery.event} for job ${delivery.jobId} failed (attempt ${attempt}/${maxAttempts}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    delivery.status = 'failed';
+    if (persist) await this.deliveryLog.record(delivery);
+    return false;
+  }
+
+  /**
+   * Build event, idempotency and signature headers
+   * Signature is HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replayed captures
+   */
+  buildHeaders(delivery, body) {
+    const headers = {
+      'X-Webhook-Event': delivery.event,
+      'Idempotency-Key': delivery.id
+    };
+
+    if (this.config.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto
+        .createHmac('sha256', this.config.secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+      headers['X-Webhook-Timestamp'] = timestamp;
+      headers['X-Webhook-Signature'] = `sha256=${signature}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Re-send a logged delivery with its original payload and idempotency key
+   * @param {string} deliveryId - Delivery (event) ID
+   * @returns {Promise<boolean>} Whether the endpoint accepted the event
+   */
+  async replayDelivery(deliveryId) {
+    const delivery = await this.deliveryLog.get(deliveryId);
+    if (!delivery) {
+      throw new Error(`Webhook delivery not found: ${deliveryId}`);
+    }
+
+    logger.info(`Replaying webhook ${delivery.event} for job ${delivery.jobId} (${deliveryId})`);
+    return await this.attemptDelivery(delivery, this.config.maxAttempts, true);
+  }
+
+  /**
+   * Replay every delivery that previously ran out of attempts
+   * @returns {Promise<{total: number, delivered: number, failed: number}>} Replay summary
+   */
+  async replayFailedDeliveries() {
+    const deliveries = await this.deliveryLog.listFailed();
+    const summary = { total: deliveries.length, delivered: 0, failed: 0 };
+
+    for (const delivery of deliveries) {
+      logger.info(`Replaying webhook ${delivery.event} for job ${delivery.jobId} (${delivery.id})`);
+      const delivered = await this.attemptDelivery(delivery, this.config.maxAttempts, true);
+      summary[delivered ? 'delivered' : 'failed']++;
+    }
+
+    return summary;
+  }
 } 
\ No newline at end of file
@@ -1,22 +1,68 @@
-import { logger } from '../logger.js';
+import { EventEmitter } from 'events';
+import { createLogger } from '../logger.js';
+import { config } from '../config/Config.js';
+
+const logger = createLogger('progress');
 
 /**
  * Progress tracking class - implements Single Responsibility Principle
  * Responsible only for tracking and reporting job progress
+ * One instance tracks one job, so concurrent jobs each get their own tracker
+ *
+ * Lifecycle and timing events are emitted on `events` (used for metrics):
+ *   started { jobId }
+ *   timing { jobId, phase, durationSeconds, speed } - phase is 'download' or a step name;
+ *     speed is the encode speed factor (output seconds per wall-clock second) for FFmpeg steps
+ *   completed { jobId, durationSeconds, fileSize }
+ *   failed { jobId, error, stage, durationSeconds }
+ *   interrupted { jobId, reason }
  */
 export class ProgressTracker {
-  constructor(jobManager) {
+  constructor(jobManager, progressConfig = null, workflowNotifier = null) {
     this.jobManager = jobManager;
+    this.config = progressConfig || config.getComponentConfig('progress');
+    this.workflowNotifier = workflowNotifier; // Optional, enables progress webhooks
     this.currentJob = null;
+    this.currentProgress = 0;
+    this.currentStep = null;
+    this.currentStage = null;
+    this.lastPersistedAt = 0;
+    this.stepFractions = {};
+    this.rate = null;
+    this.lastSample = null;
+    this.webhookState = { lastSentAt: 0, lastProgress: null, inFlight: false, pendingTransition: false };
+    this.stageReachedAt = {};
+    this.stepCompletedAt = {};
+    this.events = new EventEmitter();
     this.stages = {
       VALIDATION: { progress: 5, name: 'Validating job data' },
       DOWNLOAD_START: { progress: 10, name: 'Starting download' },
       DOWNLOAD_COMPLETE: { progress: 25, name: 'Media downloaded, starting processing' },
       PROCESSING_START: { progress: 30, name: 'Processing media files' },
-      PROCESSING_COMPLETE: { progress: 90, name: 'Processing complete, uploading to storage' },
+      PROCESSING_COMPLETE: { progress: 85, name: 'Processing complete, uploading to storage' },
       UPLOAD_COMPLETE: { progress: 95, name: 'Upload complete, finalizing' },
       COMPLETE: { progress: 100, name: 'Job completed successfully' }
     };
+    // Sub-steps report 0-1 fractions; each band spans two stages and its steps'
+    // weights sum to 1 (video and audio loop in parallel, the merge and artifacts follow)
+    this.bands = {
+      processing: { start: 30, end: 85, startStage: 'PROCESSING_START', endStage: 'PROCESSING_COMPLETE' },
+      upload: { start: 85, end: 95, startStage: 'PROCESSING_COMPLETE', endStage: 'UPLOAD_COMPLETE' }
+    };
+    // `after` steps must finish before a step starts; `encode` steps report an encode speed
+    this.steps = {
+      loop_video: { band: 'processing', weight: 0.55, name: 'Looping video', encode: true },
+      loop_audio: { band: 'processing', weight: 0.1, name: 'Looping audio', encode: true },
+      merge: { band: 'processing', weight: 0.3, name: 'Merging video and audio', encode: true, after: ['loop_video', 'loop_audio'] },
+      artifacts: { band: 'processing', weight: 0.05, name: 'Generating thumbnail and preview', after: ['merge'] },
+      upload: { band: 'upload', weight: 1, name: 'Uploading to storage' }
+    };
+    // Phases timed between two stages rather than by step completion
+    this.stagePhases = {
+      download: { startStage: 'DOWNLOAD_START', endStage: 'DOWNLOAD_COMPLETE' }
+    };
+    // Smoothing factor for the progress rate used by the ETA
+    this.rateSmoothing = 0.2;
   }
 
   /**
@@ -26,7 +72,18 @@ export class ProgressTracker {
   startTracking(job) {
     this.currentJob = job;
     this.startTime = Date.now();
+    this.currentProgress = 0;
+    this.currentStep = null;
+    this.currentStage = null;
+    this.lastPersistedAt = 0;
+    this.stepFractions = {};
+    this.rate = null;
+    this.lastSample = null;
+    this.webhookState = { lastSentAt: 0, lastProgress: null, inFlight: false, pendingTransition: false };
+    this.stageReachedAt = {};
+    this.stepCompletedAt = {};
     logger.info(`Started progress tracking for job ${job.id}`);
+    this.emitEvent('started', { jobId: job.id });
   }
 
   /**
@@ -49,24 +106,151 @@ export class ProgressTracker {
     const elapsedMs = Date.now() - this.startTime;
     const elapsedSeconds = (elapsedMs / 1000).toFixed(1);
 
+    this.setProgress(Math.max(this.currentProgress, stageInfo.progress));
+    this.currentStep = stageInfo.name;
+    this.currentStage = stage;
+    this.stageReachedAt[stage] = Date.now();
+    logger.setContext({ stage });
+    this.recordStageTimings(stage);
+
     logger.info(`Job ${this.currentJob.id} progress: ${stageInfo.progress}% - ${stageInfo.name} (${elapsedSeconds}s elapsed)`);
 
     if (additionalData.details) {
       logger.debug(`Additional details:`, additionalData.details);
     }
 
-    // Update job progress in database
+    // Update job progress in database (stage transitions are always written)
+    await this.persistProgress(true);
+    this.notifyProgress(true);
+  }
+
+  /**
+   * Update progress from a running sub-step (FFmpeg timemark or uploaded bytes)
+   * Called for every progress event; database writes are throttled
+   * @param {string} step - Step name from this.steps (unknown steps are ignored)
+   * @param {number} fraction - Step completion (0-1)
+   */
+  async updateStepProgress(step, fraction) {
+    const stepInfo = this.steps[step];
+    if (!this.currentJob || !stepInfo || !Number.isFinite(fraction)) {
+      return;
+    }
+
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    this.stepFractions[step] = Math.max(this.stepFractions[step] || 0, clamped);
+
+    if (clamped === 1) {
+      this.finishStep(step);
+    }
+
+    const progress = this.getBandProgress(stepInfo.band);
+
+    // Never move backwards
+    if (progress <= this.currentProgress) {
+      return;
+    }
+
+    this.setProgress(progress);
+    this.currentStep = stepInfo.name;
+
+    logger.debug(`Job ${this.currentJob.id} progress: ${progress}% - ${stepInfo.name}`);
+
+    await this.persistProgress(false);
+    this.notifyProgress(false);
+  }
+
+  /**
+   * Emit timings that end at the given stage: stage-bounded phases, and steps
+   * of a band that ends here that reported progress but not their completion
+   * (steps that never ran, like disabled artifacts or a reused render, emit nothing)
+   */
+  recordStageTimings(stage) {
+    for (const [phase, { startStage, endStage }] of Object.entries(this.stagePhases)) {
+      if (endStage === stage && this.stageReachedAt[startStage]) {
+        this.emitTiming(phase, this.stageReachedAt[startStage]);
+      }
+    }
+
+    for (const [step, stepInfo] of Object.entries(this.steps)) {
+      if (this.bands[stepInfo.band].endStage === stage && step in this.stepFractions) {
+        this.finishStep(step);
+      }
+    }
+  }
+
+  /**
+   * Record the completion time of a step and emit its duration (once per step)
+   * A step starts when its band's start stage is reached, or when the last of its `after` steps finished
+   */
+  finishStep(step) {
+    if (this.stepCompletedAt[step]) return;
+
+    this.stepCompletedAt[step] = Date.now();
+
+    const stepInfo = this.steps[step];
+    const startedAt = stepInfo.after
+      ? Math.max(...stepInfo.after.map(previous => this.stepCompletedAt[previous] || 0))
+      : this.stageReachedAt[this.bands[stepInfo.band].startStage];
+
+    if (startedAt) {
+      this.emitTiming(step, startedAt, !!stepInfo.encode);
+    }
+  }
+
+  /**
+   * Emit the duration of a phase that started at `startedAt`
+   * @param {boolean} encode - Also report the encode speed (target duration / wall-clock duration)
+   */
+  emitTiming(phase, startedAt, encode = false) {
+    const durationSeconds = (Date.now() - startedAt) / 1000;
+    const outputSeconds = (this.currentJob.length_minutes || 0) * 60;
+    const speed = encode && outputSeconds > 0 && durationSeconds > 0
+      ? outputSeconds / durationSeconds
+      : null;
+
+    this.emitEvent('timing', { jobId: this.currentJob.id, phase, durationSeconds, speed });
+  }
+
+  /**
+   * Emit an event without letting a failing listener affect the render
+   */
+  emitEvent(name, payload) {
     try {
-      await this.jobManager.updateProgress(
-        this.currentJob.id, 
-        stageInfo.progress, 
-        stageInfo.name
-      );
+      this.events.emit(name, payload);
     } catch (error) {
-      logger.error(`Failed to update progress for job ${this.currentJob.id}:`, error);
+      logger.warn(`Progress ${name} listener failed:`, error.message);
     }
   }
 
+  /**
+   * Overall percentage for a band from the weighted fractions of its steps
+   */
+  getBandProgress(bandName) {
+    const band = this.bands[bandName];
+    const bandFraction = Object.entries(this.steps)
+      .filter(([, stepInfo]) => stepInfo.band === bandName)
+      .reduce((total, [step, stepInfo]) => total + stepInfo.weight * (this.stepFractions[step] || 0), 0);
+
+    return Math.round((band.start + (band.end - band.start) * bandFraction) * 10) / 10;
+  }
+
+  /**
+   * Set the overall percentage and update the smoothed progress rate used for the ETA
+   */
+  setProgress(progress) {
+    const now = Date.now();
+
+    if (this.lastSample && now > this.lastSample.time && progress > this.lastSample.progress) {
+      const instantRate = (progress - this.lastSample.progress) / ((now - this.lastSample.time) / 1000);
+      this.rate = this.rate === null
+        ? instantRate
+        : this.rateSmoothing * instantRate + (1 - this.rateSmoothing) * this.rate;
+    }
+
+    this.lastSample = { time: now, progress };
+    this.currentProgress = progress;
+  }
+
   /**
    * Update with custom progress and message
    * @param {number} progress - Progress percentage (0-100)
@@ -81,15 +265,111 @@ export class ProgressTracker {
     const elapsedMs = Date.now() - this.startTime;
     const elapsedSeconds = (elapsedMs / 1000).toFixed(1);
 
+    this.setProgress(progress);
+    this.currentStep = message;
+
     logger.info(`Job ${this.currentJob.id} progress: ${progress}% - ${message} (${elapsedSeconds}s elapsed)`);
 
+    await this.persistProgress(true);
+    this.notifyProgress(true);
+  }
+
+  /**
+   * Write the current progress to the job row
+   * @param {boolean} force - Write even if the last write was less than `progress.updateInterval` ago
+   */
+  async persistProgress(force) {
+    const now = Date.now();
+    if (!force && now - this.lastPersistedAt < this.config.updateInterval) {
+      return;
+    }
+    this.lastPersistedAt = now;
+
     try {
-      await this.jobManager.updateProgress(this.currentJob.id, progress, message);
+      await this.jobManager.updateProgress(this.currentJob.id, this.currentProgress, this.currentStep, {
+        etaSeconds: this.getEtaSeconds()
+      });
     } catch (error) {
       logger.error(`Failed to update progress for job ${this.currentJob.id}:`, error);
     }
   }
 
+  /**
+   * Send a progress webhook if one is due
+   * Fire-and-forget: never awaited and never throws, so a slow or broken
+   * endpoint can't hold up the render
+   * @param {boolean} stageTransition - Stage changes notify regardless of the percent step and the rate limit;
+   *   one that happens while a webhook is in flight is sent once that request is done
+   */
+  notifyProgress(stageTransition) {
+    const url = this.getProgressWebhookUrl();
+    if (!url) return;
+
+    const state = this.webhookState;
+    const now = Date.now();
+    const progress = this.currentProgress;
+
+    const dueByStep = state.lastProgress === null ||
+      progress - state.lastProgress >= this.config.webhookStep;
+    const rateLimited = !stageTransition && now - state.lastSentAt < this.config.webhookMinInterval;
+
+    if (state.inFlight) {
+      state.pendingTransition = state.pendingTransition || stageTransition;
+      return;
+    }
+    if (rateLimited || (!stageTransition && !dueByStep)) {
+      return;
+    }
+
+    state.inFlight = true;
+    state.lastSentAt = now;
+    state.lastProgress = progress;
+
+    this.workflowNotifier
+      .notifyJobProgress(this.currentJob.id, url, progress, this.currentStep, {
+        stage: this.currentStage,
+        eta_seconds: this.getEtaSeconds()
+      })
+      .catch(error => logger.warn(`Progress webhook failed for job ${this.currentJob && this.currentJob.id}:`, error.message))
+      .finally(() => {
+        state.inFlight = false;
+        // Trailing send for a stage change that came in meanwhile, with the progress as it is now
+        if (state.pendingTransition && this.currentJob && this.webhookState === state) {
+          state.pendingTransition = false;
+          this.notifyProgress(true);
+        }
+      });
+  }
+
+  /**
+   * URL that receives progress webhooks for the tracked job, if any
+   */
+  getProgressWebhookUrl() {
+    if (!this.workflowNotifier || !this.currentJob) return null;
+
+    if (this.currentJob.progress_webhook_url) {
+      return this.currentJob.progress_webhook_url;
+    }
+
+    return this.config.webhookUseWaitingNode ? this.currentJob.waiting_node_url || null : null;
+  }
+
+  /**
+   * Estimate remaining seconds from the smoothed progress rate
+   * Falls back to the average rate since the job started
+   * @returns {number|null} ETA in seconds or null if it can't be estimated yet
+   */
+  getEtaSeconds() {
+    if (this.currentProgress >= 100) return 0;
+    if (!this.startTime || this.currentProgress <= 0) return null;
+
+    const elapsedSeconds = (Date.now() - this.startTime) / 1000;
+    const rate = this.rate || this.currentProgress / elapsedSeconds;
+    if (!rate || !Number.isFinite(rate)) return null;
+
+    return Math.round((100 - this.currentProgress) / rate);
+  }
+
   /**
    * Mark job as completed and calculate final metrics
    * @param {Object} result - Job completion result
@@ -123,6 +403,12 @@ export class ProgressTracker {
 
     await this.updateStage('COMPLETE', { details: metrics });
 
+    this.emitEvent('completed', {
+      jobId: this.currentJob.id,
+      durationSeconds: totalTimeMs / 1000,
+      fileSize: result.fileSize || null
+    });
+
     // Reset tracking
     this.currentJob = null;
     this.startTime = null;
@@ -152,6 +438,13 @@ export class ProgressTracker {
 
     logger.error(`❌ Job ${this.currentJob.id} failed after ${totalTimeSeconds}s: ${error.message}`);
 
+    this.emitEvent('failed', {
+      jobId: this.currentJob.id,
+      error,
+      stage: this.currentStage,
+      durationSeconds: totalTimeMs / 1000
+    });
+
     // Reset tracking
     this.currentJob = null;
     this.startTime = null;
@@ -159,6 +452,27 @@ export class ProgressTracker {
     return errorInfo;
   }
 
+  /**
+   * Mark job as interrupted (handed back to the queue rather than failed)
+   * @param {string} reason - Why the job was interrupted
+   */
+  async interrupt(reason) {
+    if (!this.currentJob) {
+      logger.warn('No job being tracked for interruption');
+      return;
+    }
+
+    const totalTimeSeconds = ((Date.now() - this.startTime) / 1000).toFixed(2);
+
+    logger.warn(`⏹️ Job ${this.currentJob.id} interrupted after ${totalTimeSeconds}s at ${this.currentProgress}%: ${reason}`);
+
+    this.emitEvent('interrupted', { jobId: this.currentJob.id, reason });
+
+    // Reset tracking
+    this.currentJob = null;
+    this.startTime = null;
+  }
+
   /**
    * Get current job being tracked
    */
@@ -166,6 +480,14 @@ export class ProgressTracker {
     return this.currentJob;
   }
 
+  /**
+   * Get the last stage reached by the current job
+   * @returns {string|null} Stage key from this.stages
+   */
+  getCurrentStage() {
+    return this.currentStage;
+  }
+
   /**
    * Get elapsed time for current job
    */
@@ -174,6 +496,23 @@ export class ProgressTracker {
     return (Date.now() - this.startTime) / 1000;
   }
 
+  /**
+   * Get a snapshot of the tracked job's progress
+   * @returns {Object|null} Snapshot or null if no job is being tracked
+   */
+  getSnapshot() {
+    if (!this.currentJob) return null;
+
+    return {
+      jobId: this.currentJob.id,
+      channelId: this.currentJob.channel_id,
+      progress: this.currentProgress,
+      currentStep: this.currentStep,
+      elapsedTime: this.getElapsedTime(),
+      etaSeconds: this.getEtaSeconds()
+    };
+  }
+
   /**
    * Get all available stages
    */
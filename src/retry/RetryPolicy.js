@@ -0,0 +1,65 @@
+import { config } from '../config/Config.js';
+import { ErrorClassifier } from '../errors/ErrorClassifier.js';
+
+/**
+ * Retry policy for render jobs
+ * Decides whether a failed attempt goes back to the queue and when it becomes due again
+ */
+export class RetryPolicy {
+  constructor(retryConfig = null, classifier = null) {
+    this.config = retryConfig || config.getComponentConfig('retry');
+    this.classifier = classifier || new ErrorClassifier();
+  }
+
+  /**
+   * Classify an error as retryable or fatal
+   * @param {Error} error - Error that caused the attempt to fail
+   * @returns {{category: string, retryable: boolean}} Classification
+   */
+  classify(error) {
+    return this.classifier.classify(error);
+  }
+
+  /**
+   * Exponential backoff delay before the next attempt
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const delay = this.config.baseDelay * Math.pow(this.config.backoffFactor, attempt - 1);
+    return Math.min(delay, this.config.maxDelay);
+  }
+
+  /**
+   * Decide what happens to a job after a failed attempt
+   * @param {number} previousAttempts - Failed attempts recorded on the job before this one
+   * @param {{category: string, retryable: boolean}} classification - Classification of the failure
+   * @returns {Object} Decision with retry flag, attempt count and next due time
+   */
+  decide(previousAttempts, classification) {
+    const attempt = (previousAttempts || 0) + 1;
+    const retry = classification.retryable && attempt < this.config.maxAttempts;
+
+    if (!retry) {
+      return { retry: false, attempt, ...classification };
+    }
+
+    const delayMs = this.getBackoffDelay(attempt);
+    return {
+      retry: true,
+      attempt,
+      delayMs,
+      nextAttemptAt: new Date(Date.now() + delayMs).toISOString(),
+      ...classification
+    };
+  }
+
+  /**
+   * Classify an error and decide the job's fate in one step
+   * @param {Object} job - Job row (uses attempt_count)
+   * @param {Error} error - Error that caused the attempt to fail
+   */
+  evaluate(job, error) {
+    return this.decide(job && job.attempt_count, this.classify(error));
+  }
+}
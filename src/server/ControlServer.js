@@ -0,0 +1,197 @@
+import http from 'http';
+import crypto from 'crypto';
+import { createLogger } from '../logger.js';
+import { config } from '../config/Config.js';
+import { HealthChecker } from './HealthChecker.js';
+
+const logger = createLogger('server');
+
+/**
+ * Control server - implements Single Responsibility Principle
+ * Exposes health, readiness and status of the worker over HTTP,
+ * plus token-protected admin actions (pause/resume claiming, cancel jobs)
+ *
+ * Routes:
+ *   GET  /healthz                  FFmpeg, job store and disk space checks
+ *   GET  /readyz                   Worker running and claiming jobs
+ *   GET  /status                   VideoRenderWorker.getStats()
+ *   GET  /metrics                  Prometheus metrics (when a MetricsCollector is provided)
+ *   POST /admin/pause              Stop claiming new jobs
+ *   POST /admin/resume             Resume claiming jobs
+ *   POST /admin/cancel             Cancel every running job
+ *   POST /admin/jobs/:id/cancel    Cancel one running job
+ *   GET  /admin/signed-url         Signed GET URL for ?key=<storage key> or ?jobId=<id> (optional &ttl=<seconds>)
+ */
+export class ControlServer {
+  constructor(worker, jobManager, serverConfig = null, healthChecker = null, metricsCollector = null) {
+    this.worker = worker;
+    this.jobManager = jobManager;
+    this.metricsCollector = metricsCollector;
+    this.config = serverConfig || config.getComponentConfig('server');
+    this.healthChecker = healthChecker || new HealthChecker(jobManager, this.config);
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error(`Control server error on ${req.method} ${req.url}:`, error);
+        this.sendJson(res, 500, { error: 'Internal server error' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.off('error', reject);
+        logger.info(`Control server listening on ${this.config.host}:${this.config.port}`);
+        if (!this.config.adminToken) {
+          logger.warn('ADMIN_TOKEN not set, admin endpoints are disabled');
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+    this.server.closeAllConnections(); // Don't wait for idle keep-alive connections
+    await closed;
+    this.server = null;
+    logger.info('Control server stopped');
+  }
+
+  async handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/healthz') {
+      const result = await this.healthChecker.check();
+      return this.sendJson(res, result.healthy ? 200 : 503, {
+        status: result.healthy ? 'ok' : 'unhealthy',
+        checks: result.checks
+      });
+    }
+
+    if (req.method === 'GET' && pathname === '/readyz') {
+      const ready = this.worker.isReady();
+      return this.sendJson(res, ready ? 200 : 503, {
+        status: ready ? 'ready' : 'not_ready',
+        running: this.worker.running,
+        paused: this.worker.paused,
+        stopping: this.worker.stopping
+      });
+    }
+
+    if (req.method === 'GET' && pathname === '/status') {
+      return this.sendJson(res, 200, this.worker.getStats());
+    }
+
+    if (req.method === 'GET' && pathname === '/metrics' && this.metricsCollector) {
+      res.writeHead(200, { 'Content-Type': this.metricsCollector.getContentType() });
+      return res.end(await this.metricsCollector.getMetrics());
+    }
+
+    if (pathname.startsWith('/admin/')) {
+      return this.handleAdminRequest(req, res, pathname, searchParams);
+    }
+
+    return this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  async handleAdminRequest(req, res, pathname, searchParams) {
+    if (!this.config.adminToken) {
+      return this.sendJson(res, 403, { error: 'Admin endpoints are disabled, set ADMIN_TOKEN to enable them' });
+    }
+
+    if (!this.isAuthorized(req)) {
+      return this.sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET' && pathname === '/admin/signed-url') {
+      return this.handleSignedUrl(res, searchParams);
+    }
+
+    if (req.method !== 'POST') {
+      return this.sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (pathname === '/admin/pause') {
+      this.worker.pause();
+      return this.sendJson(res, 200, { paused: true });
+    }
+
+    if (pathname === '/admin/resume') {
+      this.worker.resume();
+      return this.sendJson(res, 200, { paused: false });
+    }
+
+    if (pathname === '/admin/cancel') {
+      return this.sendJson(res, 200, { cancelled: this.worker.cancelJobs() });
+    }
+
+    const match = pathname.match(/^\/admin\/jobs\/([^/]+)\/cancel$/);
+    if (match) {
+      const cancelled = this.worker.cancelJobs(decodeURIComponent(match[1]));
+      return cancelled.length > 0
+        ? this.sendJson(res, 200, { cancelled })
+        : this.sendJson(res, 404, { error: `Job ${match[1]} is not running on this worker` });
+    }
+
+    return this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Sign a storage key, given directly or read from a job stored with STORAGE_URL_MODE=key
+   */
+  async handleSignedUrl(res, searchParams) {
+    let key = searchParams.get('key');
+    const jobId = searchParams.get('jobId');
+    const ttl = searchParams.has('ttl') ? parseInt(searchParams.get('ttl')) : undefined;
+
+    if (ttl !== undefined && !(ttl > 0)) {
+      return this.sendJson(res, 400, { error: 'ttl must be a positive number of seconds' });
+    }
+
+    if (!key && jobId) {
+      const job = await this.jobManager.getJobById(jobId);
+      if (!job || !job.final_video_url) {
+        return this.sendJson(res, 404, { error: `Job ${jobId} has no output` });
+      }
+      if (/^[a-z][a-z0-9+.-]*:\/\//i.test(job.final_video_url)) {
+        return this.sendJson(res, 409, { error: `Job ${jobId} stores a URL, not a storage key` });
+      }
+      key = job.final_video_url;
+    }
+
+    if (!key) {
+      return this.sendJson(res, 400, { error: 'key or jobId is required' });
+    }
+
+    return this.sendJson(res, 200, await this.worker.uploader.createSignedUrl(key, ttl));
+  }
+
+  /**
+   * Compare the bearer token in constant time
+   */
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const expected = Buffer.from(this.config.adminToken);
+    const actual = Buffer.from(token);
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -0,0 +1,79 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { statfs } from 'fs/promises';
+import fs from 'fs-extra';
+import { config } from '../config/Config.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Health checker - implements Single Responsibility Principle
+ * Responsible only for probing the dependencies a render needs
+ */
+export class HealthChecker {
+  constructor(jobManager, serverConfig = null) {
+    this.jobManager = jobManager;
+    this.config = serverConfig || config.getComponentConfig('server');
+    this.ffmpegPath = config.getComponentConfig('ffmpeg').path;
+    this.tempDir = config.getComponentConfig('storage').tempDir;
+  }
+
+  /**
+   * Run all checks in parallel
+   * @returns {Promise<{healthy: boolean, checks: Object}>} Overall result and per-check details
+   */
+  async check() {
+    const [ffmpeg, jobStore, disk] = await Promise.all([
+      this.runCheck(() => this.checkFFmpeg()),
+      this.runCheck(() => this.checkJobStore()),
+      this.runCheck(() => this.checkDisk())
+    ]);
+
+    const checks = { ffmpeg, jobStore, disk };
+    return {
+      healthy: Object.values(checks).every(result => result.ok),
+      checks
+    };
+  }
+
+  /**
+   * Run a single check with a timeout, turning errors into a failed result
+   */
+  async runCheck(probe) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${this.config.checkTimeout}ms`)), this.config.checkTimeout);
+    });
+
+    try {
+      const details = await Promise.race([probe(), timeout]);
+      return { ok: true, ...details };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async checkFFmpeg() {
+    const { stdout } = await execFileAsync(this.ffmpegPath, ['-version'], { timeout: this.config.checkTimeout });
+    return { version: stdout.split('\n')[0] };
+  }
+
+  async checkJobStore() {
+    await this.jobManager.ping();
+    return {};
+  }
+
+  async checkDisk() {
+    await fs.ensureDir(this.tempDir);
+    const stats = await statfs(this.tempDir);
+    const freeMb = Math.floor((stats.bavail * stats.bsize) / (1024 * 1024));
+
+    if (freeMb < this.config.minFreeDiskMb) {
+      throw new Error(`Only ${freeMb}MB free in ${this.tempDir} (minimum ${this.config.minFreeDiskMb}MB)`);
+    }
+
+    return { path: this.tempDir, freeMb };
+  }
+}
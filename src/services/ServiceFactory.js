@@ -1,7 +1,16 @@
 import { HttpClient } from '../http/HttpClient.js';
 import { WorkflowNotifier } from '../notifications/WorkflowNotifier.js';
 import SupabaseJobManager from '../supabase.js';
-import { logger } from '../logger.js';
+import { FileJobManager } from '../jobs/FileJobManager.js';
+import BackblazeUploader from '../uploader.js';
+import { S3Uploader } from '../storage/S3Uploader.js';
+import { LocalUploader } from '../storage/LocalUploader.js';
+import { SupabaseStorageUploader } from '../storage/SupabaseStorageUploader.js';
+import { UploadStateStore } from '../storage/UploadStateStore.js';
+import { config } from '../config/Config.js';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('services');
 
 /**
  * Service factory for creating properly configured service instances
@@ -13,6 +22,7 @@ export class ServiceFactory {
     this.httpClient = null;
     this.workflowNotifier = null;
     this.jobManager = null;
+    this.uploadStateStore = null;
   }
 
   /**
@@ -44,14 +54,15 @@ export class ServiceFactory {
 
   /**
    * Create job manager with optional workflow notifier dependency
-   * @param {Object} configOverride - Optional configuration override
+   * The backend is selected by JOB_BACKEND
+   * @param {Object} configOverride - Optional configuration override for the selected backend
    * @param {WorkflowNotifier} workflowNotifier - Optional workflow notifier instance
-   * @returns {SupabaseJobManager} Configured job manager instance
+   * @returns {IJobManager} Configured job manager instance
    */
   createJobManager(configOverride = null, workflowNotifier = null) {
     if (!this.jobManager) {
       const notifier = workflowNotifier || this.createWorkflowNotifier();
-      this.jobManager = new SupabaseJobManager(configOverride, notifier);
+      this.jobManager = this.instantiateJobManager(configOverride, notifier);
       logger.debug('Job manager created with workflow notifier dependency');
     }
     return this.jobManager;
@@ -60,11 +71,61 @@ export class ServiceFactory {
   /**
    * Create job manager without workflow notifications
    * Useful for scenarios where external notifications are not needed
-   * @param {Object} configOverride - Optional configuration override
-   * @returns {SupabaseJobManager} Job manager without workflow notifier
+   * @param {Object} configOverride - Optional configuration override for the selected backend
+   * @returns {IJobManager} Job manager without workflow notifier
    */
   createSimpleJobManager(configOverride = null) {
-    return new SupabaseJobManager(configOverride, null);
+    return this.instantiateJobManager(configOverride, null);
+  }
+
+  /**
+   * Instantiate the job manager for the configured backend
+   */
+  instantiateJobManager(configOverride, workflowNotifier) {
+    const { backend } = config.getComponentConfig('jobs');
+
+    switch (backend) {
+      case 'supabase':
+        return new SupabaseJobManager(configOverride, workflowNotifier);
+      case 'file':
+        return new FileJobManager(configOverride, workflowNotifier);
+      default:
+        throw new Error(`Unknown job backend: ${backend}. Available: supabase, file`);
+    }
+  }
+
+  /**
+   * Create the store for resumable upload state (multipart uploads, finished renders)
+   * @returns {UploadStateStore} Upload state store instance
+   */
+  createUploadStateStore() {
+    if (!this.uploadStateStore) {
+      this.uploadStateStore = new UploadStateStore(config.getComponentConfig('upload').stateDir);
+      logger.debug('Upload state store created');
+    }
+    return this.uploadStateStore;
+  }
+
+  /**
+   * Create the uploader for the storage backend selected by STORAGE_BACKEND
+   * @param {Object} configOverride - Optional configuration override for the selected backend
+   * @returns {IUploader} Configured uploader instance
+   */
+  createUploader(configOverride = null) {
+    const { backend } = config.getComponentConfig('storage');
+
+    switch (backend) {
+      case 'b2':
+        return new BackblazeUploader(configOverride, this.createUploadStateStore());
+      case 's3':
+        return new S3Uploader(configOverride, 'S3', this.createUploadStateStore());
+      case 'local':
+        return new LocalUploader(configOverride);
+      case 'supabase':
+        return new SupabaseStorageUploader(configOverride);
+      default:
+        throw new Error(`Unknown storage backend: ${backend}. Available: b2, s3, local, supabase`);
+    }
   }
 
   /**
@@ -75,6 +136,7 @@ export class ServiceFactory {
     this.httpClient = null;
     this.workflowNotifier = null;
     this.jobManager = null;
+    this.uploadStateStore = null;
     logger.debug('Service factory reset');
   }
 
@@ -0,0 +1,70 @@
+import axios from 'axios';
+import { IMediaSource } from '../interfaces/IMediaSource.js';
+
+/**
+ * Plain http(s) GET; subclasses rewrite share links to direct download URLs through toUrl()
+ */
+export class HttpSource extends IMediaSource {
+  matches(uri) {
+    return /^https?:\/\//i.test(uri);
+  }
+
+  /**
+   * URL that is actually requested
+   */
+  toUrl(uri) {
+    return uri;
+  }
+
+  async open(uri, options = {}) {
+    const { offset = 0, etag = null } = options;
+    const headers = { 'User-Agent': options.userAgent };
+
+    if (offset > 0) {
+      headers.Range = `bytes=${offset}-`;
+      // The server answers with the whole file instead if it changed; weak ETags can't be used here
+      if (etag && !etag.startsWith('W/')) {
+        headers['If-Range'] = etag;
+      }
+    }
+
+    let response;
+    try {
+      response = await axios({
+        method: 'GET',
+        url: this.toUrl(uri),
+        responseType: 'stream',
+        timeout: options.timeout,
+        signal: options.signal,
+        headers
+      });
+    } catch (error) {
+      // The input is shorter than what we already have, i.e. it changed: read it from the start
+      if (offset > 0 && error.response && error.response.status === 416) {
+        return this.open(uri, { ...options, offset: 0 });
+      }
+      throw error;
+    }
+
+    let start = 0;
+    let size = parseInt(response.headers['content-length']) || null;
+
+    if (response.status === 206) {
+      const range = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+      if (!range) {
+        response.data.destroy();
+        throw new Error(`Invalid Content-Range from ${uri}: ${response.headers['content-range']}`);
+      }
+      start = parseInt(range[1]);
+      size = parseInt(range[2]) || null;
+    }
+
+    return {
+      stream: response.data,
+      offset: start,
+      size,
+      contentType: response.headers['content-type'] || null,
+      etag: response.headers.etag || null
+    };
+  }
+}
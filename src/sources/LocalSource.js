@@ -0,0 +1,72 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { IMediaSource } from '../interfaces/IMediaSource.js';
+
+/**
+ * `file://` URLs and absolute paths, restricted to DOWNLOAD_LOCAL_ROOTS
+ * (without roots, jobs can't read local files at all)
+ */
+export class LocalSource extends IMediaSource {
+  /**
+   * @param {string[]} roots - Directories inputs may be read from
+   */
+  constructor(roots = []) {
+    super();
+    this.roots = roots.map(root => path.resolve(root));
+  }
+
+  matches(uri) {
+    return /^file:\/\//i.test(uri) || path.isAbsolute(uri);
+  }
+
+  validate(uri) {
+    if (this.roots.length === 0) {
+      return 'is a local path but DOWNLOAD_LOCAL_ROOTS is not set';
+    }
+
+    const filePath = this.toPath(uri);
+    if (!filePath) {
+      return 'is not a valid file:// URL';
+    }
+    if (!this.roots.some(root => filePath.startsWith(root + path.sep))) {
+      return `is outside DOWNLOAD_LOCAL_ROOTS (${this.roots.join(', ')})`;
+    }
+    return null;
+  }
+
+  async open(uri, options = {}) {
+    const reason = this.validate(uri);
+    if (reason) {
+      throw new Error(`Local source ${uri} ${reason}`);
+    }
+
+    // Resolve symlinks so a link inside a root can't point outside of it
+    const filePath = await fs.realpath(this.toPath(uri)).catch(() => null);
+    if (!filePath) {
+      throw new Error(`File does not exist: ${this.toPath(uri)}`);
+    }
+    const realRoots = await Promise.all(this.roots.map(root => fs.realpath(root).catch(() => root)));
+    if (!realRoots.some(root => filePath.startsWith(root + path.sep))) {
+      throw new Error(`Local source ${uri} resolves outside DOWNLOAD_LOCAL_ROOTS`);
+    }
+
+    const { size, mtimeMs } = await fs.stat(filePath);
+    const start = options.offset > 0 && options.offset < size ? options.offset : 0;
+    return {
+      stream: fs.createReadStream(filePath, { start, signal: options.signal || undefined }),
+      offset: start,
+      size,
+      contentType: null,
+      etag: `"${size}-${Math.floor(mtimeMs)}"`
+    };
+  }
+
+  toPath(uri) {
+    try {
+      return path.resolve(/^file:/i.test(uri) ? fileURLToPath(uri) : uri);
+    } catch {
+      return null;
+    }
+  }
+}
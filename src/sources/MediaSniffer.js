@@ -0,0 +1,204 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs-extra';
+
+// Container extensions and what they hold; 'any' containers may carry video or audio only
+const FORMATS = {
+  mp4: 'video', mov: 'video', mkv: 'video', webm: 'video', avi: 'video', ts: 'video', mpg: 'video', flv: 'video', '3gp': 'video',
+  wav: 'audio', mp3: 'audio', aac: 'audio', m4a: 'audio', flac: 'audio', aiff: 'audio', opus: 'audio',
+  ogg: 'any'
+};
+
+const CONTENT_TYPES = {
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'video/x-matroska': 'mkv',
+  'video/x-msvideo': 'avi',
+  'video/mp2t': 'ts',
+  'video/mpeg': 'mpg',
+  'video/x-flv': 'flv',
+  'video/3gpp': '3gp',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/vnd.wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac',
+  'audio/aiff': 'aiff',
+  'audio/x-aiff': 'aiff',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'video/ogg': 'ogg'
+};
+
+// ffprobe format_name (first entry) → extension
+const PROBE_FORMATS = {
+  mov: 'mp4', matroska: 'mkv', webm: 'webm', avi: 'avi', mpegts: 'ts', mpeg: 'mpg', flv: 'flv',
+  wav: 'wav', mp3: 'mp3', aac: 'aac', flac: 'flac', aiff: 'aiff', ogg: 'ogg'
+};
+
+const HEADER_SIZE = 512;
+
+/**
+ * Detects the real container of a downloaded input: magic bytes first, then the Content-Type
+ * header, then ffprobe; rejects text responses (HTML error pages, JSON errors) and unknown data
+ */
+export class MediaSniffer {
+  /**
+   * @param {string} filePath - Downloaded file
+   * @param {Object} options - { contentType, expectedKind: 'video'|'audio', source } (source is only used in errors)
+   * @returns {Promise<{ext: string, kind: string, detectedBy: string}>} Container extension and content kind
+   * @throws {Error} "Not a media file: ..." when the content isn't media or is audio where video is expected
+   */
+  static async detect(filePath, options = {}) {
+    const { contentType = null, expectedKind = null, source = filePath } = options;
+    const header = await MediaSniffer.readHeader(filePath);
+    const mimeType = MediaSniffer.getMimeType(contentType);
+
+    const textKind = MediaSniffer.detectText(header);
+    if (textKind) {
+      throw new Error(`Not a media file: ${source} is ${textKind}${mimeType ? ` (Content-Type: ${mimeType})` : ''}`);
+    }
+
+    let detected = null;
+    const magic = MediaSniffer.detectMagic(header);
+    if (magic) {
+      detected = { ext: magic, detectedBy: 'magic bytes' };
+    } else if (CONTENT_TYPES[mimeType]) {
+      detected = { ext: CONTENT_TYPES[mimeType], detectedBy: 'content type' };
+    } else {
+      const probed = await MediaSniffer.probe(filePath);
+      if (!probed) {
+        throw new Error(`Not a media file: ${source} has an unknown format${mimeType ? ` (Content-Type: ${mimeType})` : ''}`);
+      }
+      detected = { ...probed, detectedBy: 'ffprobe' };
+    }
+
+    const kind = detected.kind || MediaSniffer.getKind(detected.ext);
+    if (expectedKind === 'video' && kind === 'audio') {
+      throw new Error(`Not a media file: ${source} is ${detected.ext} audio, expected a video`);
+    }
+
+    return { ext: detected.ext, kind, detectedBy: detected.detectedBy };
+  }
+
+  /**
+   * 'video', 'audio' or 'any' for a known container extension, null otherwise
+   */
+  static getKind(ext) {
+    return FORMATS[String(ext).replace(/^\./, '').toLowerCase()] || null;
+  }
+
+  static async readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(HEADER_SIZE);
+      const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  static getMimeType(contentType) {
+    return contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+  }
+
+  /**
+   * Describe text content (what download links return instead of the file on errors), or null
+   */
+  static detectText(header) {
+    const text = header.toString('utf8').replace(/^\uFEFF/, '').trimStart().slice(0, 100).toLowerCase();
+
+    if (text.startsWith('<!doctype html') || text.startsWith('<html') || text.startsWith('<head') || text.startsWith('<body')) {
+      return 'an HTML page';
+    }
+    if (text.startsWith('<?xml') || text.startsWith('<error')) {
+      return 'an XML document';
+    }
+    if (text.startsWith('{') || text.startsWith('[')) {
+      return 'a JSON document';
+    }
+    if (text.startsWith('#extm3u')) {
+      return 'a playlist';
+    }
+    if (header.length === 0) {
+      return 'empty';
+    }
+    return null;
+  }
+
+  /**
+   * Container from its signature, or null
+   */
+  static detectMagic(header) {
+    const ascii = (start, end) => header.toString('latin1', start, end);
+
+    if (ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12);
+      if (brand === 'qt  ') return 'mov';
+      if (brand.startsWith('M4A') || brand.startsWith('M4B')) return 'm4a';
+      if (brand.startsWith('3g')) return '3gp';
+      return 'mp4';
+    }
+    if (header.length >= 4 && header.readUInt32BE(0) === 0x1A45DFA3) {
+      return header.includes('webm') ? 'webm' : 'mkv';
+    }
+    if (ascii(0, 4) === 'RIFF') {
+      if (ascii(8, 12) === 'WAVE') return 'wav';
+      if (ascii(8, 12) === 'AVI ') return 'avi';
+    }
+    if (ascii(0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(8, 12))) return 'aiff';
+    if (ascii(0, 4) === 'fLaC') return 'flac';
+    if (ascii(0, 4) === 'OggS') return header.includes('OpusHead') ? 'opus' : 'ogg';
+    if (ascii(0, 3) === 'ID3') return 'mp3';
+    if (ascii(0, 3) === 'FLV') return 'flv';
+    if (header.length > 188 && header[0] === 0x47 && header[188] === 0x47) return 'ts';
+    if (header.length >= 4 && header.readUInt32BE(0) === 0x000001BA) return 'mpg';
+
+    // MPEG audio frame sync: ADTS AAC (layer bits 00) or MP3
+    if (header.length >= 2 && header[0] === 0xFF && (header[1] & 0xE0) === 0xE0) {
+      return (header[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    }
+
+    return null;
+  }
+
+  /**
+   * Ask ffprobe about content without a known signature
+   * @returns {Promise<{ext: string, kind: string}|null>} null when ffprobe can't read it
+   */
+  static probe(filePath) {
+    if (process.env.FFPROBE_PATH) {
+      ffmpeg.setFfprobePath(process.env.FFPROBE_PATH);
+    }
+
+    return new Promise(resolve => {
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err || !metadata || !metadata.format) {
+          resolve(null);
+          return;
+        }
+
+        const streams = metadata.streams || [];
+        const hasVideo = streams.some(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+        const hasAudio = streams.some(stream => stream.codec_type === 'audio');
+        if (!hasVideo && !hasAudio) {
+          resolve(null);
+          return;
+        }
+
+        const format = String(metadata.format.format_name || '').split(',')[0];
+        resolve({
+          ext: PROBE_FORMATS[format] || format,
+          kind: hasVideo ? 'video' : 'audio'
+        });
+      });
+    });
+  }
+}
@@ -0,0 +1,85 @@
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { IMediaSource } from '../interfaces/IMediaSource.js';
+
+/**
+ * `s3://<bucket>/<key>` read with the storage credentials (B2 or S3, see DOWNLOAD_S3_CREDENTIALS),
+ * so inputs can live in a private bucket
+ */
+export class S3Source extends IMediaSource {
+  /**
+   * @param {Object} s3Config - { endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }
+   */
+  constructor(s3Config) {
+    super();
+    this.s3Config = s3Config;
+    this.client = null;
+  }
+
+  matches(uri) {
+    return /^s3:\/\//i.test(uri);
+  }
+
+  validate(uri) {
+    if (!this.parse(uri)) {
+      return 'must look like s3://<bucket>/<key>';
+    }
+    if (!this.s3Config.accessKeyId || !this.s3Config.secretAccessKey) {
+      return 'needs S3 credentials (see DOWNLOAD_S3_CREDENTIALS)';
+    }
+    return null;
+  }
+
+  async open(uri, options = {}) {
+    const { offset = 0, etag = null } = options;
+    const { bucket, key } = this.parse(uri);
+    let result;
+
+    try {
+      result = await this.getClient().send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Range: offset > 0 ? `bytes=${offset}-` : undefined,
+          IfMatch: offset > 0 && etag ? etag : undefined
+        }),
+        { abortSignal: options.signal || undefined }
+      );
+    } catch (error) {
+      // The object was replaced since the partial download, read it from the start
+      if (offset > 0 && ['PreconditionFailed', 'InvalidRange'].includes(error.name)) {
+        return this.open(uri, { ...options, offset: 0 });
+      }
+      throw error;
+    }
+
+    const range = /^bytes (\d+)-\d+\/(\d+)$/.exec(result.ContentRange || '');
+    return {
+      stream: result.Body,
+      offset: range ? parseInt(range[1]) : 0,
+      size: range ? parseInt(range[2]) : result.ContentLength || null,
+      contentType: result.ContentType || null,
+      etag: result.ETag || null
+    };
+  }
+
+  parse(uri) {
+    const match = /^s3:\/\/([^/]+)\/(.+)$/i.exec(uri);
+    return match ? { bucket: match[1], key: decodeURIComponent(match[2]) } : null;
+  }
+
+  // Created on first use so workers without s3:// inputs don't need credentials
+  getClient() {
+    if (!this.client) {
+      this.client = new S3Client({
+        endpoint: this.s3Config.endpoint || undefined,
+        region: this.s3Config.region || 'us-east-1',
+        forcePathStyle: this.s3Config.forcePathStyle,
+        credentials: {
+          accessKeyId: this.s3Config.accessKeyId,
+          secretAccessKey: this.s3Config.secretAccessKey
+        }
+      });
+    }
+    return this.client;
+  }
+}
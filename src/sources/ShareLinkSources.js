@@ -0,0 +1,40 @@
+import { HttpSource } from './HttpSource.js';
+
+/**
+ * Google Drive share links (`/file/d/<id>/view`, `open?id=<id>`, `uc?id=<id>`)
+ * The file must be shared with "anyone with the link"; confirm=t skips the virus-scan page of large files
+ */
+export class GoogleDriveSource extends HttpSource {
+  matches(uri) {
+    return /^https?:\/\/(drive|docs)\.google\.com\//i.test(uri);
+  }
+
+  validate(uri) {
+    return this.getFileId(uri) ? null : 'is a Google Drive link without a file id';
+  }
+
+  toUrl(uri) {
+    return `https://drive.usercontent.google.com/download?id=${encodeURIComponent(this.getFileId(uri))}&export=download&confirm=t`;
+  }
+
+  getFileId(uri) {
+    const url = new URL(uri);
+    const pathMatch = url.pathname.match(/\/d\/([A-Za-z0-9_-]+)/);
+    return pathMatch ? pathMatch[1] : url.searchParams.get('id');
+  }
+}
+
+/**
+ * Dropbox share links (`/s/...`, `/scl/fi/...`); dl=1 turns the preview page into the file itself
+ */
+export class DropboxSource extends HttpSource {
+  matches(uri) {
+    return /^https?:\/\/(www\.)?dropbox\.com\//i.test(uri);
+  }
+
+  toUrl(uri) {
+    const url = new URL(uri);
+    url.searchParams.set('dl', '1');
+    return url.href;
+  }
+}
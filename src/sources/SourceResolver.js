@@ -0,0 +1,65 @@
+import { config } from '../config/Config.js';
+import { HttpSource } from './HttpSource.js';
+import { GoogleDriveSource, DropboxSource } from './ShareLinkSources.js';
+import { S3Source } from './S3Source.js';
+import { SupabaseStorageSource } from './SupabaseStorageSource.js';
+import { LocalSource } from './LocalSource.js';
+
+/**
+ * Picks the source that reads a job input
+ * Sources are tried in order, so share-link sources come before the generic http one
+ */
+export class SourceResolver {
+  /**
+   * @param {IMediaSource[]} sources - Optional source list replacing the configured defaults
+   */
+  constructor(sources = null) {
+    this.sources = sources || SourceResolver.createDefaultSources();
+  }
+
+  static createDefaultSources() {
+    const { localRoots, s3Credentials } = config.getComponentConfig('download');
+    const supabase = config.getComponentConfig('supabase');
+    const { serviceKey } = config.getComponentConfig('supabaseStorage');
+
+    return [
+      new LocalSource(localRoots),
+      new S3Source(config.getComponentConfig(s3Credentials === 's3' ? 's3' : 'backblaze')),
+      new SupabaseStorageSource({ url: supabase.url, key: serviceKey || supabase.anonKey }),
+      new GoogleDriveSource(),
+      new DropboxSource(),
+      new HttpSource()
+    ];
+  }
+
+  /**
+   * Add a source in front of the others
+   */
+  register(source) {
+    this.sources.unshift(source);
+    return this;
+  }
+
+  /**
+   * Source responsible for an input
+   * @throws {Error} When no source supports it
+   */
+  resolve(uri) {
+    const source = this.sources.find(candidate => candidate.matches(uri));
+    if (!source) {
+      throw new Error(`Unsupported input source: ${uri}`);
+    }
+    return source;
+  }
+
+  /**
+   * Reason an input can't be read, or null when it can
+   */
+  validate(uri) {
+    const source = this.sources.find(candidate => candidate.matches(uri));
+    if (!source) {
+      return 'must be an http(s), s3://, supabase:// or file:// URL or an absolute path';
+    }
+    return source.validate(uri);
+  }
+}
@@ -0,0 +1,56 @@
+import { createClient } from '@supabase/supabase-js';
+import { HttpSource } from './HttpSource.js';
+
+// Only needs to be valid until the download has started
+const SIGNED_URL_TTL = 600;
+
+/**
+ * `supabase://<bucket>/<path>` objects, fetched through a short-lived signed URL so the bucket can stay private
+ */
+export class SupabaseStorageSource extends HttpSource {
+  /**
+   * @param {Object} supabaseConfig - { url, key }
+   */
+  constructor(supabaseConfig) {
+    super();
+    this.supabaseConfig = supabaseConfig;
+    this.client = null;
+  }
+
+  matches(uri) {
+    return /^supabase:\/\//i.test(uri);
+  }
+
+  validate(uri) {
+    if (!this.parse(uri)) {
+      return 'must look like supabase://<bucket>/<path>';
+    }
+    if (!this.supabaseConfig.url || !this.supabaseConfig.key) {
+      return 'needs SUPABASE_URL and a Supabase key';
+    }
+    return null;
+  }
+
+  async open(uri, options = {}) {
+    const { bucket, objectPath } = this.parse(uri);
+    const { data, error } = await this.getClient().storage.from(bucket).createSignedUrl(objectPath, SIGNED_URL_TTL);
+
+    if (error) {
+      throw new Error(`Supabase Storage object ${bucket}/${objectPath} not available: ${error.message}`);
+    }
+
+    return super.open(data.signedUrl, options);
+  }
+
+  parse(uri) {
+    const match = /^supabase:\/\/([^/]+)\/(.+)$/i.exec(uri);
+    return match ? { bucket: match[1], objectPath: decodeURIComponent(match[2]) } : null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = createClient(this.supabaseConfig.url, this.supabaseConfig.key);
+    }
+    return this.client;
+  }
+}
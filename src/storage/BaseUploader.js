@@ -0,0 +1,372 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../logger.js';
+import { IUploader } from '../interfaces/IUploader.js';
+import { config } from '../config/Config.js';
+
+const logger = createLogger('uploader');
+
+/**
+ * Base class for storage backends
+ * Handles keys, checksums, verification, logging, events and local cleanup;
+ * subclasses implement putObject(), headObject() and getPublicUrl()
+ * Emits `uploaded` { key, bytes, durationSeconds } on `events` after each finished upload
+ */
+export class BaseUploader extends IUploader {
+  /**
+   * @param {string} name - Backend name used in logs (e.g. 'Backblaze B2')
+   * @param {Object} uploadConfig - Optional upload configuration override (see Config.upload)
+   */
+  constructor(name, uploadConfig = null) {
+    super();
+    this.name = name;
+    this.uploadConfig = uploadConfig || config.getComponentConfig('upload');
+    this.storageConfig = config.getComponentConfig('storage');
+    this.events = new EventEmitter();
+  }
+
+  /**
+   * Generate the storage key for a rendered video from STORAGE_KEY_TEMPLATE or the job's output_key_template
+   * @param {Object} context - Extra template values: { job, preset, resolution, ext }
+   */
+  generateKey(channelId, videoId, context = {}) {
+    return config.getStorageKey({ ...context, channelId, videoId });
+  }
+
+  /**
+   * Store the file under `key`
+   * @param {string} filePath - Local file path
+   * @param {string} key - Storage key
+   * @param {Object} options - { contentType, metadata, size, checksum, signal, onProgress }
+   *   (checksum is the file's hex SHA-256, for backends that let the server check the bytes it receives)
+   * @returns {Promise<{etag: string|null, expectedChecksum: string|null}>} expectedChecksum is what headObject()
+   *   reports for a stored copy identical to the file, null when the backend computes no checksum
+   */
+  async putObject(filePath, key, options) {
+    throw new Error('Method putObject must be implemented');
+  }
+
+  /**
+   * Size of a stored object and the checksum the backend computed from the stored bytes
+   * @returns {Promise<{size: number, checksum: string|null}|null>} null when the backend can't inspect objects,
+   *   checksum null when it computes none
+   */
+  async headObject(key) {
+    return null;
+  }
+
+  /**
+   * Public URL of a stored key
+   */
+  getPublicUrl(key) {
+    throw new Error('Method getPublicUrl must be implemented');
+  }
+
+  /**
+   * Key of an interrupted upload of this file that can be resumed, for backends that support it
+   * @returns {Promise<string|null>} Storage key or null
+   */
+  async findResumableKey(filePath) {
+    return null;
+  }
+
+  /**
+   * Note a per-job key template an upload is made under, for backends whose cleanup needs every key space in use
+   */
+  async recordKeyTemplate(template) {}
+
+  /**
+   * Abort incomplete uploads that will never be finished, for backends that support it
+   * @param {number} maxAge - Age in milliseconds after which an upload is considered abandoned
+   * @returns {Promise<number>} Number of aborted uploads
+   */
+  async cleanupOrphanedUploads(maxAge) {
+    return 0;
+  }
+
+  /**
+   * Time-limited GET URL of a stored key, for backends that support it
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - Validity in seconds
+   * @returns {Promise<string>} Signed URL
+   */
+  async signUrl(key, expiresIn) {
+    throw new Error(`${this.name} doesn't support signed URLs`);
+  }
+
+  /**
+   * Create a signed GET URL on demand, e.g. for jobs that only store the object key
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - Validity in seconds (defaults to STORAGE_SIGNED_URL_TTL)
+   * @returns {Promise<{url: string, key: string, expiresAt: string}>} Signed URL and its expiry
+   */
+  async createSignedUrl(key, expiresIn = this.storageConfig.signedUrlTtl) {
+    const url = await this.signUrl(key, expiresIn);
+    return {
+      url,
+      key,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Value stored as the job's output URL, depending on STORAGE_URL_MODE
+   * @returns {Promise<{url: string, expiresAt: string|null}>} Public URL, signed URL or bare key
+   */
+  async getOutputUrl(key) {
+    switch (this.storageConfig.urlMode) {
+      case 'signed': {
+        const { url, expiresAt } = await this.createSignedUrl(key);
+        return { url, expiresAt };
+      }
+      case 'key':
+        return { url: key, expiresAt: null };
+      default:
+        return { url: this.getPublicUrl(key), expiresAt: null };
+    }
+  }
+
+  /**
+   * SHA-256 of a local file (hex)
+   */
+  async computeChecksum(filePath, signal = null) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath, { signal: signal || undefined })) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Compare the stored object with the local file
+   * Only a checksum the backend computed itself counts; with size alone the copy isn't reported as verified
+   * @param {string|null} expectedChecksum - See putObject()
+   * @returns {Promise<{verified: boolean, mismatch: string|null}>} verified is false when the backend can't be checked
+   */
+  async verifyUpload(key, size, expectedChecksum) {
+    const stored = await this.headObject(key);
+
+    if (!stored) {
+      logger.debug(`${this.name} can't inspect stored objects, skipping verification of ${key}`);
+      return { verified: false, mismatch: null };
+    }
+    if (stored.size !== size) {
+      return { verified: false, mismatch: `size ${stored.size} != ${size}` };
+    }
+    if (!expectedChecksum || !stored.checksum) {
+      logger.debug(`${this.name} reports no checksum for ${key}, only its size was checked`);
+      return { verified: false, mismatch: null };
+    }
+    if (stored.checksum !== expectedChecksum) {
+      return { verified: false, mismatch: `checksum ${stored.checksum} != ${expectedChecksum}` };
+    }
+
+    return { verified: true, mismatch: null };
+  }
+
+  /**
+   * putObject() with the file's SHA-256, then check the stored copy (see verifyUpload)
+   * A mismatching copy is uploaded again, up to UPLOAD_VERIFY_ATTEMPTS times
+   * @param {Object} options - { contentType, metadata, size, signal, onProgress({ loaded, total }) }
+   * @returns {Promise<{etag: string|null, checksum: string, verified: boolean}>} Stored copy
+   */
+  async storeVerified(filePath, key, options) {
+    const { contentType, metadata, size, signal = null, onProgress = null } = options;
+    const checksum = await this.computeChecksum(filePath, signal);
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await this.putObject(filePath, key, {
+        contentType,
+        metadata: { ...metadata, 'sha256': checksum },
+        size,
+        checksum,
+        signal,
+        onProgress: (loaded, total = size) => {
+          if (total) {
+            logger.debug(`Upload progress: ${((loaded / total) * 100).toFixed(1)}%`);
+          }
+          if (onProgress) {
+            onProgress({ loaded, total });
+          }
+        }
+      });
+
+      const check = await this.verifyUpload(key, size, result.expectedChecksum || null);
+      if (!check.mismatch) {
+        return { etag: result.etag || null, checksum, verified: check.verified };
+      }
+      if (attempt >= this.uploadConfig.verifyAttempts) {
+        throw new Error(`Upload integrity check failed for ${key}: ${check.mismatch}`);
+      }
+      logger.warn(`Stored copy of ${key} doesn't match (${check.mismatch}), uploading again (attempt ${attempt + 1}/${this.uploadConfig.verifyAttempts})`);
+    }
+  }
+
+  /**
+   * Upload a rendered video, verified against its SHA-256 (see storeVerified)
+   * @param {Object} options - Upload options ({ signal } aborts the upload,
+   *   { onProgress } receives { loaded, total } bytes, { job, metadata, preset } fill the key template)
+   */
+  async uploadFile(filePath, channelId, videoId, options = {}) {
+    const { signal = null, onProgress = null, job = null, metadata = null, preset = null } = options;
+
+    try {
+      if (job && job.output_key_template) {
+        await this.recordKeyTemplate(job.output_key_template);
+      }
+
+      // A resumed upload keeps the key it started with
+      const key = await this.findResumableKey(filePath) || this.generateKey(channelId, videoId, {
+        job,
+        preset,
+        resolution: metadata && metadata.resolution,
+        ext: path.extname(filePath).slice(1)
+      });
+      const fileSize = await this.getFileSize(filePath);
+      const startedAt = Date.now();
+
+      logger.info(`Starting upload to ${this.name}: ${path.basename(filePath)} → ${key} (${(fileSize / 1024 / 1024).toFixed(2)}MB)`);
+
+      if (signal && signal.aborted) {
+        throw new Error(`Upload aborted before start: ${signal.reason}`);
+      }
+
+      const result = await this.storeVerified(filePath, key, {
+        contentType: this.uploadConfig.contentType,
+        metadata: {
+          'channel-id': channelId.toString(),
+          'video-id': videoId.toString(),
+          'uploaded-at': new Date().toISOString()
+        },
+        size: fileSize,
+        signal,
+        onProgress
+      });
+
+      const { url, expiresAt } = await this.getOutputUrl(key);
+
+      logger.info(`Upload completed successfully: ${key} (${this.storageConfig.urlMode} URL, ${result.verified ? 'verified' : 'not verified'})`);
+      this.events.emit('uploaded', {
+        key,
+        bytes: fileSize,
+        durationSeconds: (Date.now() - startedAt) / 1000
+      });
+
+      return {
+        success: true,
+        url,
+        urlExpiresAt: expiresAt,
+        key: key,
+        bucket: this.bucket || null,
+        size: fileSize,
+        etag: result.etag || null,
+        checksum: result.checksum,
+        verified: result.verified
+      };
+
+    } catch (error) {
+      logger.error(`Upload failed for ${filePath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Key of a file stored next to a video, e.g. `<video key without extension>_thumbnail.jpg`
+   * @param {string} videoKey - Storage key of the video
+   * @param {string} suffix - Appended to the key without its extension (e.g. '_thumbnail.jpg', '.json')
+   */
+  getArtifactKey(videoKey, suffix) {
+    return `${videoKey.slice(0, videoKey.length - path.extname(videoKey).length)}${suffix}`;
+  }
+
+  /**
+   * Upload a file that accompanies a video (thumbnail, preview, sidecar) under an explicit key
+   * @param {Object} options - { contentType, metadata, signal }
+   * @returns {Promise<{url: string, key: string, size: number, checksum: string}>} url follows STORAGE_URL_MODE
+   */
+  async uploadArtifact(filePath, key, options = {}) {
+    const { contentType, metadata = {}, signal = null } = options;
+    const size = await this.getFileSize(filePath);
+    const startedAt = Date.now();
+
+    if (signal && signal.aborted) {
+      throw new Error(`Upload aborted before start: ${signal.reason}`);
+    }
+
+    const result = await this.storeVerified(filePath, key, { contentType, metadata, size, signal });
+    const { url } = await this.getOutputUrl(key);
+
+    logger.info(`Uploaded ${path.basename(filePath)} → ${key}`);
+    this.events.emit('uploaded', {
+      key,
+      bytes: size,
+      durationSeconds: (Date.now() - startedAt) / 1000
+    });
+
+    return { url, key, size, checksum: result.checksum };
+  }
+
+  /**
+   * Get file size in bytes
+   */
+  async getFileSize(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.size;
+    } catch (error) {
+      logger.error(`Error getting file size for ${filePath}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Validate upload result
+   * The stored copy was already compared with the local file (see verifyUpload); a result without
+   * a checksum didn't go through that check
+   */
+  validateUpload(uploadResult) {
+    return uploadResult &&
+           uploadResult.success &&
+           uploadResult.url &&
+           uploadResult.key &&
+           uploadResult.checksum;
+  }
+
+  /**
+   * Clean up local file after successful upload
+   */
+  async cleanupLocalFile(filePath) {
+    try {
+      if (await fs.pathExists(filePath)) {
+        await fs.remove(filePath);
+        logger.debug(`Cleaned up local file: ${filePath}`);
+      }
+    } catch (error) {
+      logger.error(`Error cleaning up local file ${filePath}:`, error);
+    }
+  }
+
+  /**
+   * Upload and cleanup in one operation
+   */
+  async uploadAndCleanup(filePath, channelId, videoId, keepLocal = false, options = {}) {
+    try {
+      const uploadResult = await this.uploadFile(filePath, channelId, videoId, options);
+
+      if (this.validateUpload(uploadResult)) {
+        if (!keepLocal) {
+          await this.cleanupLocalFile(filePath);
+        }
+        return uploadResult;
+      } else {
+        throw new Error('Upload validation failed');
+      }
+
+    } catch (error) {
+      logger.error(`Upload and cleanup failed for ${filePath}:`, error);
+      throw error;
+    }
+  }
+}
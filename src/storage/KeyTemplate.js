@@ -0,0 +1,119 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Placeholders filled from the upload context; `{job.<column>}` reads any job column
+const PLACEHOLDERS = ['channelId', 'videoId', 'date', 'preset', 'lengthMinutes', 'resolution', 'ext', 'uuid'];
+const JOB_COLUMN = /^job\.([A-Za-z_][A-Za-z0-9_]*)$/;
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+
+// Placeholders that make a key unique per job, so renders don't overwrite each other
+const UNIQUE_PLACEHOLDERS = ['videoId', 'uuid', 'job.id'];
+
+/**
+ * Object key templates, e.g. `renders/{date}/channel_{channelId}/{videoId}_{resolution}.{ext}`
+ */
+export class KeyTemplate {
+  /**
+   * Check a template's syntax and placeholders
+   * @param {string} template - Key template
+   * @throws {Error} When the template is empty, unbalanced, uses unknown placeholders or escapes the key space
+   */
+  static validate(template) {
+    const fail = (reason) => {
+      throw new Error(`Invalid key template "${template}": ${reason}`);
+    };
+
+    if (typeof template !== 'string' || !template.trim()) {
+      fail('template is empty');
+    }
+
+    for (const name of KeyTemplate.getPlaceholders(template)) {
+      if (!PLACEHOLDERS.includes(name) && !JOB_COLUMN.test(name)) {
+        fail(`unknown placeholder {${name}}. Available: ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')}, {job.<column>}`);
+      }
+    }
+
+    const literal = template.replace(PLACEHOLDER, 'x');
+    if (/[{}]/.test(literal)) {
+      fail('unbalanced braces');
+    }
+    if (literal.startsWith('/') || literal.includes('\\')) {
+      fail('keys must be relative and use / as separator');
+    }
+    if (literal.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+      fail('empty, "." or ".." path segments are not allowed');
+    }
+  }
+
+  /**
+   * Whether every rendered key is unique per job (contains {videoId}, {uuid} or {job.id})
+   */
+  static isUnique(template) {
+    return KeyTemplate.getPlaceholders(template).some(name => UNIQUE_PLACEHOLDERS.includes(name));
+  }
+
+  /**
+   * Names of the placeholders used in a template, e.g. ['channelId', 'job.youtube_title']
+   */
+  static getPlaceholders(template) {
+    return [...template.matchAll(PLACEHOLDER)].map(match => match[1]);
+  }
+
+  /**
+   * Literal directory prefix shared by every key of a template, e.g. `renders/` for `renders/{date}/{videoId}.mp4`
+   */
+  static getStaticPrefix(template) {
+    const literal = template.split('{')[0];
+    return literal.slice(0, literal.lastIndexOf('/') + 1);
+  }
+
+  /**
+   * Regular expression matching every key a template can render (placeholder values are [A-Za-z0-9._-]+)
+   */
+  static toPattern(template) {
+    // split() with a capturing group alternates literal text and placeholder names
+    const source = template.split(PLACEHOLDER)
+      .map((part, index) => index % 2 ? '[A-Za-z0-9._-]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('');
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Fill a template
+   * Values are reduced to [A-Za-z0-9._-] so job columns can't add path segments
+   * @param {string} template - Validated key template
+   * @param {Object} context - { channelId, videoId, preset, resolution, ext, job }
+   * @returns {string} Object key
+   */
+  static render(template, context) {
+    const job = context.job || {};
+    const values = {
+      channelId: context.channelId,
+      videoId: context.videoId,
+      date: new Date().toISOString().slice(0, 10),
+      preset: context.preset,
+      lengthMinutes: job.length_minutes,
+      resolution: context.resolution || 'unknown',
+      ext: context.ext || 'mp4',
+      uuid: uuidv4()
+    };
+
+    return template.replace(PLACEHOLDER, (placeholder, name) => {
+      const column = JOB_COLUMN.exec(name);
+      const value = column ? job[column[1]] : values[name];
+      const sanitized = value === undefined || value === null ? '' : KeyTemplate.sanitize(value);
+
+      if (!sanitized || sanitized === '.') {
+        throw new Error(`Key template placeholder ${placeholder} has no value`);
+      }
+
+      return sanitized;
+    });
+  }
+
+  static sanitize(value) {
+    return String(value)
+      .trim()
+      .replace(/[^A-Za-z0-9._-]+/g, '-')
+      .replace(/\.{2,}/g, '.');
+  }
+}
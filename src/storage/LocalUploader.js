@@ -0,0 +1,84 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { pathToFileURL } from 'url';
+import { createLogger } from '../logger.js';
+import { config } from '../config/Config.js';
+import { BaseUploader } from './BaseUploader.js';
+
+const logger = createLogger('uploader');
+
+/**
+ * Storage backend that copies results into a local directory or mounted volume
+ * Public URL: publicBaseUrl/key when the directory is served over HTTP, otherwise a file:// URL
+ */
+export class LocalUploader extends BaseUploader {
+  /**
+   * @param {Object} configOverride - Optional configuration override (see Config.localStorage)
+   */
+  constructor(configOverride = null) {
+    super('local storage');
+    this.config = configOverride || config.getComponentConfig('localStorage');
+    this.dir = path.resolve(this.config.dir);
+    this.publicBaseUrl = this.config.publicBaseUrl;
+
+    logger.info(`Local storage uploader initialized (directory: ${this.dir})`);
+  }
+
+  /**
+   * Copy the file to <dir>/<key>, through a temporary file so readers never see a partial copy
+   */
+  async putObject(filePath, key, { size, checksum, signal, onProgress }) {
+    const targetPath = this.getPath(key);
+    const partialPath = `${targetPath}.partial`;
+    let loaded = 0;
+
+    await fs.ensureDir(path.dirname(targetPath));
+
+    const source = fs.createReadStream(filePath);
+    source.on('data', (chunk) => {
+      loaded += chunk.length;
+      onProgress(loaded, size);
+    });
+
+    try {
+      await pipeline(source, fs.createWriteStream(partialPath), { signal: signal || undefined });
+      await fs.move(partialPath, targetPath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(partialPath);
+      if (signal && signal.aborted) {
+        logger.warn(`Copy of ${path.basename(filePath)} aborted (${signal.reason})`);
+      }
+      throw error;
+    }
+
+    return { etag: null, expectedChecksum: checksum };
+  }
+
+  /**
+   * Size and hex SHA-256 of the stored copy, hashed again from disk
+   */
+  async headObject(key) {
+    const targetPath = this.getPath(key);
+    const { size } = await fs.stat(targetPath);
+    return { size, checksum: await this.computeChecksum(targetPath) };
+  }
+
+  /**
+   * Public URL of a stored key
+   */
+  getPublicUrl(key) {
+    if (this.publicBaseUrl) {
+      return `${this.publicBaseUrl.replace(/\/+$/, '')}/${key}`;
+    }
+    return pathToFileURL(this.getPath(key)).href;
+  }
+
+  getPath(key) {
+    const targetPath = path.resolve(this.dir, key);
+    if (!targetPath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Storage key escapes the storage directory: ${key}`);
+    }
+    return targetPath;
+  }
+}
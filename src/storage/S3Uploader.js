@@ -0,0 +1,426 @@
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+  ListMultipartUploadsCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../logger.js';
+import { config } from '../config/Config.js';
+import { BaseUploader } from './BaseUploader.js';
+import { KeyTemplate } from './KeyTemplate.js';
+import { UploadStateStore } from './UploadStateStore.js';
+
+const logger = createLogger('uploader');
+
+// S3 multipart limits
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+/**
+ * Storage backend for any S3-compatible service (AWS S3, MinIO, Cloudflare R2, Wasabi, Backblaze B2)
+ * Public URL: publicBaseUrl/key when configured, otherwise derived from the endpoint and bucket
+ * Signed URL: presigned GetObject request, so the bucket can stay private
+ * Large files use resumable multipart uploads (see UploadStateStore)
+ * Every request carries the SHA-256 of its bytes, so the server rejects corrupted data and can report
+ * the checksum of the stored object (see headObject)
+ */
+export class S3Uploader extends BaseUploader {
+  /**
+   * @param {Object} configOverride - Optional S3 configuration override (see Config.s3)
+   * @param {string} name - Backend name used in logs
+   * @param {UploadStateStore} stateStore - Optional store for resumable multipart state
+   */
+  constructor(configOverride = null, name = 'S3', stateStore = null) {
+    super(name);
+    this.config = configOverride || config.getComponentConfig('s3');
+
+    this.bucket = this.config.bucket;
+    this.publicBaseUrl = this.config.publicBaseUrl;
+    this.stateStore = stateStore || new UploadStateStore(this.uploadConfig.stateDir);
+
+    if (!this.bucket) {
+      throw new Error(`${name} bucket configuration is required`);
+    }
+
+    this.s3Client = new S3Client({
+      endpoint: this.config.endpoint || undefined,
+      region: this.config.region,
+      credentials: {
+        accessKeyId: this.config.accessKeyId,
+        secretAccessKey: this.config.secretAccessKey,
+      },
+      forcePathStyle: this.config.forcePathStyle, // MinIO and B2 need path-style requests
+    });
+
+    logger.info(`${name} uploader initialized (bucket: ${this.bucket})`);
+  }
+
+  /**
+   * Key of an interrupted multipart upload of this file, so a resumed upload keeps its key
+   * even when the template contains {uuid} or {date}
+   */
+  async findResumableKey(filePath) {
+    const state = await this.stateStore.getMultipart(filePath);
+    return state && state.bucket === this.bucket ? state.key : null;
+  }
+
+  /**
+   * Single PUT for small files, otherwise a multipart upload whose state is persisted after every part
+   * so a failed or interrupted upload continues where it stopped (also after a worker restart)
+   */
+  async putObject(filePath, key, { contentType, metadata, size, checksum, signal, onProgress }) {
+    const abortSignal = signal || undefined;
+
+    if (size <= this.uploadConfig.partSize) {
+      const checksumSHA256 = Buffer.from(checksum, 'hex').toString('base64');
+      const result = await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: contentType,
+        Metadata: metadata,
+        ChecksumAlgorithm: 'SHA256',
+        ChecksumSHA256: checksumSHA256
+      }), { abortSignal });
+      onProgress(size, size);
+      return { etag: result.ETag, expectedChecksum: checksumSHA256 };
+    }
+
+    const state = await this.startOrResumeMultipart(filePath, key, { contentType, metadata, signal });
+    const parts = new Map(state.parts.map(part => [part.PartNumber, part]));
+    const partCount = Math.ceil(size / state.partSize);
+    const pending = [];
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      if (!parts.has(partNumber)) pending.push(partNumber);
+    }
+
+    let loaded = [...parts.values()].reduce((total, part) => total + part.Size, 0);
+    let saving = Promise.resolve();
+    let failed = false;
+    onProgress(loaded, size);
+
+    // queueSize parts in flight; state writes are chained so they land in order
+    const uploadNext = async () => {
+      while (pending.length > 0 && !failed) {
+        const part = await this.uploadPart(filePath, state, pending.shift(), size, signal);
+        parts.set(part.PartNumber, part);
+        loaded += part.Size;
+        onProgress(loaded, size);
+
+        const snapshot = { ...state, parts: [...parts.values()] };
+        saving = saving
+          .then(() => this.stateStore.saveMultipart(snapshot))
+          .catch(error => logger.warn(`Could not save multipart state for ${path.basename(filePath)}:`, error.message));
+      }
+    };
+
+    const results = await Promise.allSettled(
+      Array.from({ length: Math.min(this.uploadConfig.queueSize, pending.length) }, () => uploadNext().catch(error => {
+        failed = true;
+        throw error;
+      }))
+    );
+    await saving;
+
+    const rejected = results.find(result => result.status === 'rejected');
+    if (rejected) {
+      const reason = signal && signal.aborted ? `aborted (${signal.reason})` : 'failed';
+      logger.warn(`Upload of ${path.basename(filePath)} ${reason}, ${parts.size}/${partCount} parts kept for resuming`);
+      throw rejected.reason;
+    }
+
+    const result = await this.s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: state.key,
+      UploadId: state.uploadId,
+      MultipartUpload: {
+        Parts: [...parts.values()]
+          .sort((a, b) => a.PartNumber - b.PartNumber)
+          .map(({ PartNumber, ETag, ChecksumSHA256 }) => ({ PartNumber, ETag, ChecksumSHA256 }))
+      }
+    }), { abortSignal });
+
+    await this.stateStore.removeMultipart(filePath);
+    return {
+      etag: result.ETag,
+      expectedChecksum: await this.computeCompositeChecksum(filePath, state.partSize, size, signal)
+    };
+  }
+
+  /**
+   * Checksum S3 reports for a multipart object: the SHA-256 of the parts' SHA-256 digests, then the part count
+   * Computed from the local file, so the stored parts are compared with its bytes
+   */
+  async computeCompositeChecksum(filePath, partSize, size, signal = null) {
+    const digests = [];
+
+    for (let start = 0; start < size; start += partSize) {
+      const hash = crypto.createHash('sha256');
+      const end = Math.min(start + partSize, size) - 1;
+      for await (const chunk of fs.createReadStream(filePath, { start, end, signal: signal || undefined })) {
+        hash.update(chunk);
+      }
+      digests.push(hash.digest());
+    }
+
+    return `${crypto.createHash('sha256').update(Buffer.concat(digests)).digest('base64')}-${digests.length}`;
+  }
+
+  /**
+   * Continue the persisted multipart upload of this file, or create a new one
+   */
+  async startOrResumeMultipart(filePath, key, { contentType, metadata, signal }) {
+    const existing = await this.stateStore.getMultipart(filePath);
+
+    // Uploads started without SHA-256 part checksums can't be completed with them
+    if (existing && existing.bucket === this.bucket && existing.key === key && existing.checksumAlgorithm === 'SHA256') {
+      try {
+        const parts = await this.listUploadedParts(existing, signal);
+        logger.info(`Resuming multipart upload of ${path.basename(filePath)}: ${parts.length} part(s) already uploaded`);
+        return { ...existing, parts };
+      } catch (error) {
+        if (error.name !== 'NoSuchUpload') throw error;
+        logger.warn(`Multipart upload ${existing.uploadId} no longer exists, starting over`);
+      }
+    } else if (existing) {
+      await this.abortMultipart(existing);
+    }
+
+    const stats = await fs.stat(filePath);
+    const partSize = Math.max(this.uploadConfig.partSize, MIN_PART_SIZE, Math.ceil(stats.size / MAX_PARTS));
+    const { UploadId } = await this.s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      Metadata: metadata,
+      ChecksumAlgorithm: 'SHA256'
+    }), { abortSignal: signal || undefined });
+
+    const state = {
+      filePath: path.resolve(filePath),
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      bucket: this.bucket,
+      key,
+      uploadId: UploadId,
+      partSize,
+      checksumAlgorithm: 'SHA256',
+      parts: [],
+      createdAt: new Date().toISOString()
+    };
+    await this.stateStore.saveMultipart(state);
+    return state;
+  }
+
+  /**
+   * Parts already stored by S3 (the source of truth; the local list may lag behind)
+   */
+  async listUploadedParts(state, signal) {
+    const parts = [];
+    let marker;
+
+    do {
+      const page = await this.s3Client.send(new ListPartsCommand({
+        Bucket: state.bucket,
+        Key: state.key,
+        UploadId: state.uploadId,
+        PartNumberMarker: marker
+      }), { abortSignal: signal || undefined });
+
+      for (const { PartNumber, ETag, Size, ChecksumSHA256 } of page.Parts || []) {
+        // A part of unexpected size can't be reused (e.g. written with another part size)
+        if (Size === Math.min(state.partSize, state.size - (PartNumber - 1) * state.partSize) && ChecksumSHA256) {
+          parts.push({ PartNumber, ETag, Size, ChecksumSHA256 });
+        }
+      }
+      marker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+    } while (marker);
+
+    return parts;
+  }
+
+  /**
+   * Upload one part with its SHA-256, retrying transient failures with exponential backoff
+   */
+  async uploadPart(filePath, state, partNumber, size, signal) {
+    const start = (partNumber - 1) * state.partSize;
+    const length = Math.min(state.partSize, size - start);
+    const body = Buffer.alloc(length);
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      await handle.read(body, 0, length, start);
+    } finally {
+      await handle.close();
+    }
+    const checksumSHA256 = crypto.createHash('sha256').update(body).digest('base64');
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { ETag } = await this.s3Client.send(new UploadPartCommand({
+          Bucket: state.bucket,
+          Key: state.key,
+          UploadId: state.uploadId,
+          PartNumber: partNumber,
+          Body: body,
+          ContentLength: length,
+          ChecksumAlgorithm: 'SHA256',
+          ChecksumSHA256: checksumSHA256
+        }), { abortSignal: signal || undefined });
+
+        return { PartNumber: partNumber, ETag, Size: length, ChecksumSHA256: checksumSHA256 };
+      } catch (error) {
+        if ((signal && signal.aborted) || attempt >= this.uploadConfig.partRetries) {
+          throw error;
+        }
+
+        const delay = 1000 * Math.pow(2, attempt - 1);
+        logger.warn(`Part ${partNumber} of ${path.basename(filePath)} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async abortMultipart(state) {
+    try {
+      await this.s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: state.bucket,
+        Key: state.key,
+        UploadId: state.uploadId
+      }));
+      logger.info(`Aborted multipart upload ${state.uploadId} (${state.key})`);
+    } catch (error) {
+      if (error.name !== 'NoSuchUpload') throw error;
+    }
+  }
+
+  async recordKeyTemplate(template) {
+    try {
+      await this.stateStore.recordKeyTemplate(template);
+    } catch (error) {
+      logger.warn(`Could not record key template "${template}":`, error.message);
+    }
+  }
+
+  /**
+   * Abort multipart uploads that will never be completed:
+   * - local state whose file is gone (job cancelled, failed or cleaned up) or older than maxAge
+   * - uploads with no local state that are older than maxAge (another worker's upload of that age is assumed
+   *   dead), but only those under the fixed prefix of STORAGE_KEY_TEMPLATE or a recorded per-job template whose
+   *   key matches that template. The listing doesn't include metadata, so the key is what identifies our uploads;
+   *   templates without a fixed prefix (e.g. `{channelId}/{videoId}.{ext}`) aren't scanned, their keys could be
+   *   anybody's
+   * @param {number} maxAge - Age in milliseconds
+   * @returns {Promise<number>} Number of aborted uploads
+   */
+  async cleanupOrphanedUploads(maxAge = this.uploadConfig.orphanMaxAge) {
+    let aborted = 0;
+    const states = (await this.stateStore.listMultipart()).filter(state => state.bucket === this.bucket);
+    const known = new Set(states.map(state => state.uploadId));
+
+    for (const state of states) {
+      const expired = Date.now() - Date.parse(state.createdAt) >= maxAge;
+      if (!expired && await fs.pathExists(state.filePath)) continue;
+
+      await this.abortMultipart(state);
+      await this.stateStore.removeMultipart(state.filePath);
+      aborted++;
+    }
+
+    // Key patterns by fixed prefix
+    const prefixes = new Map();
+    const templates = new Set([this.storageConfig.keyTemplate, ...await this.stateStore.listKeyTemplates()]);
+    for (const template of templates) {
+      const prefix = KeyTemplate.getStaticPrefix(template);
+      if (!prefix) {
+        logger.debug(`Not scanning ${this.bucket} for orphaned uploads of "${template}": the template has no fixed prefix`);
+        continue;
+      }
+      prefixes.set(prefix, [...(prefixes.get(prefix) || []), KeyTemplate.toPattern(template)]);
+    }
+
+    for (const [prefix, patterns] of prefixes) {
+      let keyMarker;
+      let uploadIdMarker;
+
+      do {
+        const page = await this.s3Client.send(new ListMultipartUploadsCommand({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          KeyMarker: keyMarker,
+          UploadIdMarker: uploadIdMarker
+        }));
+
+        for (const upload of page.Uploads || []) {
+          if (known.has(upload.UploadId) || Date.now() - new Date(upload.Initiated).getTime() < maxAge) continue;
+          if (!patterns.some(pattern => pattern.test(upload.Key))) continue;
+
+          await this.abortMultipart({ bucket: this.bucket, key: upload.Key, uploadId: upload.UploadId });
+          // Nested prefixes list the same upload again
+          known.add(upload.UploadId);
+          aborted++;
+        }
+
+        keyMarker = page.IsTruncated ? page.NextKeyMarker : undefined;
+        uploadIdMarker = page.IsTruncated ? page.NextUploadIdMarker : undefined;
+      } while (keyMarker);
+    }
+
+    return aborted;
+  }
+
+  /**
+   * Size and the SHA-256 the server computed when it stored the object
+   * (base64, with a `-<parts>` suffix for multipart uploads; see computeCompositeChecksum)
+   */
+  async headObject(key) {
+    const result = await this.s3Client.send(new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ChecksumMode: 'ENABLED'
+    }));
+    return {
+      size: result.ContentLength,
+      checksum: result.ChecksumSHA256 || null
+    };
+  }
+
+  /**
+   * Presigned GET URL (SigV4, at most 7 days)
+   */
+  async signUrl(key, expiresIn) {
+    return await getSignedUrl(this.s3Client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+  }
+
+  /**
+   * Public URL of a stored key
+   * Without publicBaseUrl: <endpoint>/<bucket>/<key> for path-style endpoints,
+   * https://<bucket>.<endpoint host>/<key> otherwise (AWS S3 when no endpoint is set)
+   */
+  getPublicUrl(key) {
+    if (this.publicBaseUrl) {
+      return `${this.publicBaseUrl.replace(/\/+$/, '')}/${key}`;
+    }
+
+    const endpoint = this.config.endpoint
+      ? new URL(this.config.endpoint)
+      : new URL(`https://s3.${this.config.region}.amazonaws.com`);
+
+    if (this.config.forcePathStyle) {
+      return `${endpoint.origin}${endpoint.pathname.replace(/\/+$/, '')}/${this.bucket}/${key}`;
+    }
+
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}/${key}`;
+  }
+}
@@ -0,0 +1,87 @@
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs-extra';
+import { createLogger } from '../logger.js';
+import { config } from '../config/Config.js';
+import { BaseUploader } from './BaseUploader.js';
+
+const logger = createLogger('uploader');
+
+/**
+ * Storage backend for Supabase Storage
+ * Public URL: the bucket's public object URL (the bucket must be public)
+ * Signed URL: Storage's signed object URL, for private buckets
+ * Uploads are streamed in a single request, so the project's upload size limit must fit the rendered files
+ */
+export class SupabaseStorageUploader extends BaseUploader {
+  /**
+   * @param {Object} configOverride - Optional configuration override (see Config.supabaseStorage)
+   * @param {Object} supabaseConfig - Optional project configuration override (see Config.supabase)
+   */
+  constructor(configOverride = null, supabaseConfig = null) {
+    super('Supabase Storage');
+    this.config = configOverride || config.getComponentConfig('supabaseStorage');
+    const project = supabaseConfig || config.getComponentConfig('supabase');
+
+    this.bucket = this.config.bucket;
+    if (!this.bucket) {
+      throw new Error('SUPABASE_STORAGE_BUCKET configuration is required');
+    }
+
+    // Writes usually need the service role key; the anon key works for buckets with an insert policy
+    this.client = createClient(project.url, this.config.serviceKey || project.anonKey);
+    this.storage = this.client.storage.from(this.bucket);
+
+    logger.info(`Supabase Storage uploader initialized (bucket: ${this.bucket})`);
+  }
+
+  /**
+   * Stream the file to the bucket, overwriting an existing object
+   * The request can't be interrupted once started; an abort takes effect when it returns
+   */
+  async putObject(filePath, key, { contentType, metadata, size, signal, onProgress }) {
+    const { error } = await this.storage.upload(key, fs.createReadStream(filePath), {
+      contentType,
+      metadata,
+      upsert: true,
+      duplex: 'half' // Required by fetch for streamed request bodies
+    });
+
+    if (error) {
+      throw new Error(`Supabase Storage upload failed: ${error.message}`);
+    }
+
+    if (signal && signal.aborted) {
+      throw new Error(`Upload aborted: ${signal.reason}`);
+    }
+
+    onProgress(size, size);
+    // Storage computes no SHA-256 of its own, so only the size can be verified
+    return { etag: null, expectedChecksum: null };
+  }
+
+  /**
+   * Size of the stored object; Supabase Storage reports no checksum that could be compared with the file
+   */
+  async headObject(key) {
+    const { data, error } = await this.storage.info(key);
+    if (error) {
+      throw new Error(`Supabase Storage object info failed: ${error.message}`);
+    }
+    return { size: data.size, checksum: null };
+  }
+
+  /**
+   * Public URL of a stored key
+   */
+  getPublicUrl(key) {
+    return this.storage.getPublicUrl(key).data.publicUrl;
+  }
+
+  async signUrl(key, expiresIn) {
+    const { data, error } = await this.storage.createSignedUrl(key, expiresIn);
+    if (error) {
+      throw new Error(`Supabase Storage signed URL failed: ${error.message}`);
+    }
+    return data.signedUrl;
+  }
+}
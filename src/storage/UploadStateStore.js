@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('uploader');
+
+/**
+ * File-based state that lets uploads survive worker restarts
+ *
+ *   <stateDir>/multipart/<hash>.json   S3 multipart upload of a local file: uploadId, key, completed parts
+ *   <stateDir>/outputs/<jobId>.json    Finished render of a job that hasn't been uploaded yet
+ *   <stateDir>/key-templates.json      Per-job key templates uploads were made under
+ */
+export class UploadStateStore {
+  constructor(stateDir) {
+    this.stateDir = stateDir;
+  }
+
+  /**
+   * Multipart state for a local file, or null when there is none or the file changed since
+   * @param {string} filePath - Local file being uploaded
+   */
+  async getMultipart(filePath) {
+    const state = await this.read(this.getMultipartPath(filePath));
+    if (!state) return null;
+
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats || stats.size !== state.size || stats.mtimeMs !== state.mtimeMs) {
+      logger.info(`Discarding multipart state for ${path.basename(filePath)}: file changed or missing`);
+      return null;
+    }
+
+    return state;
+  }
+
+  /**
+   * Write multipart state
+   * @param {Object} state - { filePath, size, mtimeMs, bucket, key, uploadId, partSize, parts, createdAt }
+   */
+  async saveMultipart(state) {
+    await this.write(this.getMultipartPath(state.filePath), { ...state, updatedAt: new Date().toISOString() });
+  }
+
+  async removeMultipart(filePath) {
+    await fs.remove(this.getMultipartPath(filePath));
+  }
+
+  /**
+   * All multipart states, including those of files that no longer exist
+   */
+  async listMultipart() {
+    return this.list(path.join(this.stateDir, 'multipart'));
+  }
+
+  /**
+   * Finished render of a job, or null when there is none or the file is gone
+   * @returns {Promise<Object|null>} { jobId, outputPath, size, metadata, upload, createdAt }
+   *   (upload is the video's upload result once it is stored, see saveUploadedOutput)
+   */
+  async getFinishedOutput(jobId) {
+    const record = await this.read(this.getOutputPath(jobId));
+    if (!record) return null;
+
+    const stats = await fs.stat(record.outputPath).catch(() => null);
+    if (!stats || stats.size !== record.size) {
+      logger.info(`Discarding finished output of job ${jobId}: ${record.outputPath} is missing or changed`);
+      await this.removeFinishedOutput(jobId);
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Remember a finished render so the upload can be retried without rendering again
+   */
+  async saveFinishedOutput(jobId, outputPath, metadata) {
+    const { size } = await fs.stat(outputPath);
+    await this.write(this.getOutputPath(jobId), {
+      jobId,
+      outputPath,
+      size,
+      metadata,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Note that the finished render is stored, so a retry after a later failure (e.g. an artifact upload)
+   * doesn't upload it again
+   * @param {Object} upload - Upload result (see IUploader.uploadAndCleanup)
+   */
+  async saveUploadedOutput(jobId, upload) {
+    const record = await this.read(this.getOutputPath(jobId));
+    if (record) {
+      await this.write(this.getOutputPath(jobId), { ...record, upload });
+    }
+  }
+
+  async removeFinishedOutput(jobId) {
+    await fs.remove(this.getOutputPath(jobId));
+  }
+
+  /**
+   * Delete finished renders (file and record) older than maxAge, e.g. of jobs that were completed elsewhere
+   * @param {number} maxAge - Age in milliseconds
+   * @param {Array} keepJobIds - Jobs currently running on this worker
+   * @returns {Promise<number>} Number of removed outputs
+   */
+  async removeStaleOutputs(maxAge, keepJobIds = []) {
+    const keep = new Set(keepJobIds.map(String));
+    let removed = 0;
+
+    for (const record of await this.list(path.join(this.stateDir, 'outputs'))) {
+      if (keep.has(String(record.jobId)) || Date.now() - Date.parse(record.createdAt) < maxAge) {
+        continue;
+      }
+
+      logger.info(`Removing unclaimed finished output of job ${record.jobId}: ${record.outputPath}`);
+      await fs.remove(record.outputPath);
+      await this.removeFinishedOutput(record.jobId);
+      removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remember a per-job key template, so orphaned uploads under its prefix are cleaned up too
+   */
+  async recordKeyTemplate(template) {
+    const templates = await this.listKeyTemplates();
+    if (!templates.includes(template)) {
+      await this.write(path.join(this.stateDir, 'key-templates.json'), [...templates, template]);
+    }
+  }
+
+  async listKeyTemplates() {
+    return (await this.read(path.join(this.stateDir, 'key-templates.json'))) || [];
+  }
+
+  getMultipartPath(filePath) {
+    const hash = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+    return path.join(this.stateDir, 'multipart', `${hash}.json`);
+  }
+
+  getOutputPath(jobId) {
+    return path.join(this.stateDir, 'outputs', `${jobId}.json`);
+  }
+
+  async read(filePath) {
+    try {
+      return await fs.readJson(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable upload state ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write then rename so a crash never leaves a half-written state file
+   */
+  async write(filePath, data) {
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeJson(tempPath, data, { spaces: 2 });
+    await fs.rename(tempPath, filePath);
+  }
+
+  async list(dir) {
+    if (!await fs.pathExists(dir)) {
+      return [];
+    }
+
+    const records = [];
+    for (const file of await fs.readdir(dir)) {
+      if (!file.endsWith('.json')) continue;
+      const record = await this.read(path.join(dir, file));
+      if (record) records.push(record);
+    }
+    return records;
+  }
+}
@@ -1,7 +1,12 @@
 import { createClient } from '@supabase/supabase-js';
-import { logger } from './logger.js';
+import { createLogger } from './logger.js';
 import { IJobManager } from './interfaces/IJobManager.js';
 import { config } from './config/Config.js';
+import { RetryPolicy } from './retry/RetryPolicy.js';
+import { JobFailure } from './jobs/JobFailure.js';
+import { JobOutput } from './jobs/JobOutput.js';
+
+const logger = createLogger('supabase');
 
 /**
  * Supabase-based job manager implementation
@@ -9,10 +14,12 @@ import { config } from './config/Config.js';
  * Uses dependency injection for workflow notifications (Dependency Inversion Principle)
  */
 class SupabaseJobManager extends IJobManager {
-  constructor(configOverride = null, workflowNotifier = null) {
+  constructor(configOverride = null, workflowNotifier = null, retryPolicy = null) {
     super();
     this.config = configOverride || config.getComponentConfig('supabase');
+    this.workerConfig = config.getComponentConfig('worker');
     this.workflowNotifier = workflowNotifier; // Optional dependency injection
+    this.retryPolicy = retryPolicy || new RetryPolicy();
     this.supabase = null;
     this.init();
   }
@@ -26,6 +33,20 @@ class SupabaseJobManager extends IJobManager {
     logger.info('Supabase client initialized');
   }
 
+  /**
+   * Check that Supabase answers queries on the jobs table
+   */
+  async ping() {
+    const { error } = await this.supabase
+      .from('dark_channel_soundtrack_videos')
+      .select('id', { count: 'exact', head: true })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Supabase unreachable: ${error.message}`);
+    }
+  }
+
   /**
    * Get a single job with status 'waiting_render' and update it to 'rendering'
    * Uses a transaction-like approach to prevent race conditions
@@ -35,11 +56,14 @@ class SupabaseJobManager extends IJobManager {
       logger.info('Looking for available jobs...');
 
       // Get jobs that are ready to be processed, excluding failed and completed jobs
+      const now = new Date().toISOString();
       const { data: jobs, error: fetchError } = await this.supabase
         .from('dark_channel_soundtrack_videos')
         .select('*')
         .in('status', ['waiting_render']) // Only jobs waiting to be rendered
         .is('final_video_url', null) // Exclude jobs that have already been processed (have final output)
+        .not('cancel_requested', 'is', true) // Cancelled before it started
+        .or(`next_attempt_at.is.null,next_attempt_at.lte.${now}`) // Skip retries that aren't due yet
         .order('id', { ascending: true })
         .limit(1);
 
@@ -56,13 +80,15 @@ class SupabaseJobManager extends IJobManager {
       const job = jobs[0];
       logger.info(`Found job ${job.id}, attempting to claim it...`);
 
-      // Try to update the job status to 'rendering'
+      // Try to update the job status to 'rendering' and take the lease
       // This helps prevent race conditions if multiple workers are running
       const { data: updatedJob, error: updateError } = await this.supabase
         .from('dark_channel_soundtrack_videos')
         .update({
           status: 'rendering',
-          updated_at: new Date().toISOString()
+          worker_id: this.workerConfig.workerId,
+          heartbeat_at: now,
+          updated_at: now
         })
         .eq('id', job.id)
         .eq('status', 'waiting_render') // Only update if still waiting to be rendered
@@ -135,7 +161,7 @@ class SupabaseJobManager extends IJobManager {
 
       // Update job status to rendered
       const updateSuccess = await this.updateJobStatus(jobId, 'rendered', {
-        final_video_url: outputUrl,
+        ...JobOutput.buildColumns(outputUrl, metadata),
         updated_at: new Date().toISOString()
       });
 
@@ -170,21 +196,44 @@ class SupabaseJobManager extends IJobManager {
 
   /**
    * Mark job as failed with error information
+   * Transient failures are re-queued with exponential backoff until the retry policy gives up
    * Uses dependency injection for workflow notifications (Dependency Inversion Principle)
    */
-  async failJob(jobId, error) {
+  async failJob(jobId, error, context = {}) {
     try {
-      // First get the job to access waiting_node_url for potential notification
+      // First get the job to access waiting_node_url and attempt_count
       const job = await this.getJobById(jobId);
+      const decision = this.retryPolicy.evaluate(job, error);
+      const failureDetails = JobFailure.buildDetails(error, context, decision);
+
+      if (decision.retry) {
+        logger.warn(`Job ${jobId} attempt ${decision.attempt} failed (${decision.category}), retrying in ${Math.round(decision.delayMs / 1000)}s`);
+
+        return this.updateJobStatus(jobId, 'waiting_render', {
+          ...failureDetails,
+          attempt_count: decision.attempt,
+          next_attempt_at: decision.nextAttemptAt,
+          worker_id: null,
+          heartbeat_at: null
+        });
+      }
+
+      logger.error(`Job ${jobId} failed permanently after ${decision.attempt} attempt(s) (${decision.category}${decision.retryable ? '' : ', not retryable'})`);
       
       // Update status to failed
       const updateSuccess = await this.updateJobStatus(jobId, 'failed', {
+        ...failureDetails,
+        attempt_count: decision.attempt,
+        next_attempt_at: null,
         updated_at: new Date().toISOString()
       });
 
       // Optionally notify workflow about failure if notifier is available
       if (job && job.waiting_node_url && this.workflowNotifier) {
-        await this.workflowNotifier.notifyJobFailure(jobId, job.waiting_node_url, error);
+        await this.workflowNotifier.notifyJobFailure(jobId, job.waiting_node_url, error, {
+          error_category: failureDetails.error_category,
+          error_stage: failureDetails.error_stage
+        });
       }
 
       return updateSuccess;
@@ -192,19 +241,280 @@ class SupabaseJobManager extends IJobManager {
       logger.error(`Error in failJob for ${jobId}:`, failureError);
       // Fallback to basic status update
       return this.updateJobStatus(jobId, 'failed', {
+        error_message: JobFailure.truncate(error && error.message, 2000),
         updated_at: new Date().toISOString()
       });
     }
   }
 
   /**
-   * Update job progress (simplified for this schema)
+   * Refresh the lease heartbeat of a job claimed by this worker
+   * A missing row means the lease expired and the job was reclaimed elsewhere
+   */
+  async heartbeat(jobId) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('dark_channel_soundtrack_videos')
+        .update({
+          heartbeat_at: now,
+          updated_at: now
+        })
+        .eq('id', jobId)
+        .in('status', ['rendering', 'cancelling'])
+        .eq('worker_id', this.workerConfig.workerId)
+        .select();
+
+      if (error) {
+        // Can't tell whether the lease is still ours; keep going and retry next beat
+        logger.error(`Error sending heartbeat for job ${jobId}:`, error);
+        return { leaseHeld: true, cancelRequested: false, job: null };
+      }
+
+      if (!data || data.length === 0) {
+        logger.warn(`Lease for job ${jobId} is no longer held by ${this.workerConfig.workerId}`);
+        return { leaseHeld: false, cancelRequested: false, job: null };
+      }
+
+      const job = data[0];
+      const cancelRequested = job.status === 'cancelling' || job.cancel_requested === true;
+
+      logger.debug(`Heartbeat sent for job ${jobId}`);
+      return { leaseHeld: true, cancelRequested, job };
+
+    } catch (error) {
+      logger.error(`Error sending heartbeat for job ${jobId}:`, error);
+      return { leaseHeld: true, cancelRequested: false, job: null };
+    }
+  }
+
+  /**
+   * Return 'rendering' jobs whose heartbeat is older than the lease TTL to 'waiting_render'
+   * Each reclaimed job gets its attempt counter incremented; jobs that keep crashing
+   * their worker are failed once the retry policy runs out of attempts.
+   * Stale 'cancelling' jobs are marked 'cancelled'
+   */
+  async reclaimStaleJobs() {
+    try {
+      const cutoff = new Date(Date.now() - this.workerConfig.leaseTtl).toISOString();
+
+      // Rows claimed before leases existed have no heartbeat; fall back to updated_at
+      const { data: staleJobs, error: fetchError } = await this.supabase
+        .from('dark_channel_soundtrack_videos')
+        .select('id, status, worker_id, attempt_count, updated_at')
+        .in('status', ['rendering', 'cancelling'])
+        .or(`heartbeat_at.lt.${cutoff},and(heartbeat_at.is.null,updated_at.lt.${cutoff})`);
+
+      if (fetchError) {
+        logger.error('Error fetching stale jobs:', fetchError);
+        return [];
+      }
+
+      const reclaimed = [];
+
+      for (const staleJob of staleJobs || []) {
+        const decision = this.retryPolicy.decide(staleJob.attempt_count, { category: 'lease_expired', retryable: true });
+
+        // A job whose worker died while cancelling has nothing left to stop
+        const update = staleJob.status === 'cancelling'
+          ? { status: 'cancelled', cancelled_at: new Date().toISOString() }
+          : {
+            status: decision.retry ? 'waiting_render' : 'failed',
+            attempt_count: decision.attempt,
+            next_attempt_at: decision.retry ? decision.nextAttemptAt : null
+          };
+
+        // updated_at guard: skip the row if a heartbeat landed since we read it
+        const { data, error } = await this.supabase
+          .from('dark_channel_soundtrack_videos')
+          .update({
+            ...update,
+            worker_id: null,
+            heartbeat_at: null,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', staleJob.id)
+          .eq('status', staleJob.status)
+          .eq('updated_at', staleJob.updated_at)
+          .select('id');
+
+        if (error) {
+          logger.error(`Error reclaiming stale job ${staleJob.id}:`, error);
+          continue;
+        }
+
+        if (data && data.length > 0) {
+          const outcome = staleJob.status === 'cancelling'
+            ? 'cancelled'
+            : `attempt ${decision.attempt}, ${decision.retry ? 'requeued' : 'failed'}`;
+          logger.warn(`Reclaimed stale job ${staleJob.id} from worker ${staleJob.worker_id || 'unknown'} (${outcome})`);
+          reclaimed.push(staleJob.id);
+        }
+      }
+
+      await this.cancelRequestedQueuedJobs();
+      return reclaimed;
+
+    } catch (error) {
+      logger.error('Error in reclaimStaleJobs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Mark queued jobs with a cancel request cancelled and notify their workflow
+   * Claiming skips them, so nothing else would ever finalize them
+   * @returns {Promise<number[]>} IDs of cancelled jobs
+   */
+  async cancelRequestedQueuedJobs() {
+    const now = new Date().toISOString();
+    const { data, error } = await this.supabase
+      .from('dark_channel_soundtrack_videos')
+      .update({
+        status: 'cancelled',
+        cancelled_at: now,
+        next_attempt_at: null,
+        updated_at: now
+      })
+      .eq('status', 'waiting_render')
+      .eq('cancel_requested', true)
+      .select('id, waiting_node_url');
+
+    if (error) {
+      logger.error('Error cancelling queued jobs:', error);
+      return [];
+    }
+
+    for (const job of data || []) {
+      logger.info(`Job ${job.id} cancelled before it was claimed`);
+      if (job.waiting_node_url && this.workflowNotifier) {
+        await this.workflowNotifier.notifyJobCancellation(job.id, job.waiting_node_url, { error_stage: null });
+      }
+    }
+
+    return (data || []).map(job => job.id);
+  }
+
+  /**
+   * Mark a job this worker was rendering as cancelled
+   * Accepts both 'rendering' (cancel_requested flag) and 'cancelling' rows
+   */
+  async markJobCancelled(jobId, context = {}) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from('dark_channel_soundtrack_videos')
+        .update({
+          status: 'cancelled',
+          cancelled_at: now,
+          error_stage: context.stage || null,
+          worker_id: null,
+          heartbeat_at: null,
+          progress_eta_seconds: null,
+          updated_at: now
+        })
+        .eq('id', jobId)
+        .in('status', ['rendering', 'cancelling'])
+        .eq('worker_id', this.workerConfig.workerId)
+        .select();
+
+      if (error) {
+        logger.error(`Error marking job ${jobId} as cancelled:`, error);
+        return false;
+      }
+
+      if (!data || data.length === 0) {
+        logger.warn(`Job ${jobId} is no longer owned by ${this.workerConfig.workerId}, not marking it cancelled`);
+        return false;
+      }
+
+      logger.info(`Job ${jobId} cancelled${context.stage ? ` during ${context.stage}` : ''}`);
+
+      // Let a waiting workflow know it won't get a render
+      const job = data[0];
+      if (job.waiting_node_url && this.workflowNotifier) {
+        await this.workflowNotifier.notifyJobCancellation(jobId, job.waiting_node_url, {
+          error_stage: context.stage || null
+        });
+      }
+
+      return true;
+
+    } catch (error) {
+      logger.error(`Error marking job ${jobId} as cancelled:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Hand an unfinished job back to the queue so another worker can pick it up
+   * Only touches jobs this worker still holds in 'rendering' to avoid overwriting a final status
    */
-  async updateProgress(jobId, progress, currentStep = '') {
-    logger.info(`Job ${jobId} progress: ${progress}% - ${currentStep}`);
-    // Only log progress, don't update job status
-    // Job status should be managed separately by completeJob/failJob methods
-    return true;
+  async releaseJob(jobId, reason = '') {
+    const status = this.workerConfig.interruptedStatus;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('dark_channel_soundtrack_videos')
+        .update({
+          status,
+          worker_id: null,
+          heartbeat_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId)
+        .eq('status', 'rendering')
+        .eq('worker_id', this.workerConfig.workerId)
+        .select();
+
+      if (error) {
+        logger.error(`Error releasing job ${jobId}:`, error);
+        return false;
+      }
+
+      if (!data || data.length === 0) {
+        logger.warn(`Job ${jobId} was no longer rendering, nothing to release`);
+        return false;
+      }
+
+      logger.info(`Job ${jobId} released back to ${status}${reason ? ` (${reason})` : ''}`);
+      return true;
+
+    } catch (error) {
+      logger.error(`Error releasing job ${jobId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Update job progress columns
+   * Doesn't touch the job status - that is managed by completeJob/failJob methods
+   */
+  async updateProgress(jobId, progress, currentStep = '', details = {}) {
+    try {
+      const { error } = await this.supabase
+        .from('dark_channel_soundtrack_videos')
+        .update({
+          progress_percent: progress,
+          progress_step: currentStep,
+          progress_eta_seconds: details.etaSeconds ?? null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId)
+        .eq('status', 'rendering');
+
+      if (error) {
+        logger.error(`Error updating progress for job ${jobId}:`, error);
+        return false;
+      }
+
+      logger.debug(`Job ${jobId} progress saved: ${progress}% - ${currentStep}`);
+      return true;
+
+    } catch (error) {
+      logger.error(`Error updating progress for job ${jobId}:`, error);
+      return false;
+    }
   }
 
   /**
@@ -1,12 +1,17 @@
-import { logger } from '../logger.js';
+import { createLogger } from '../logger.js';
+import { KeyTemplate } from '../storage/KeyTemplate.js';
+import { SourceResolver } from '../sources/SourceResolver.js';
+
+const logger = createLogger('validator');
 
 /**
  * Job validator class - implements Single Responsibility Principle
  * Responsible only for validating job data
  */
 export class JobValidator {
-  constructor(config) {
+  constructor(config, sourceResolver = null) {
     this.config = config;
+    this.sourceResolver = sourceResolver || new SourceResolver();
     this.requiredFields = ['input_video_url', 'soundtrack_url', 'length_minutes', 'channel_id'];
   }
 
@@ -35,12 +40,19 @@ export class JobValidator {
       invalidFields.push('channel_id must be a positive number');
     }
 
-    if (job.input_video_url && !this.isValidUrl(job.input_video_url)) {
-      invalidFields.push('input_video_url must be a valid URL');
+    // Inputs can be URLs or other references the downloader's sources understand
+    for (const field of ['input_video_url', 'soundtrack_url']) {
+      const sourceError = job[field] ? this.sourceResolver.validate(job[field]) : null;
+      if (sourceError) {
+        invalidFields.push(`${field} ${sourceError}`);
+      }
     }
 
-    if (job.soundtrack_url && !this.isValidUrl(job.soundtrack_url)) {
-      invalidFields.push('soundtrack_url must be a valid URL');
+    if (job.output_key_template) {
+      const templateError = this.validateKeyTemplate(job);
+      if (templateError) {
+        invalidFields.push(`output_key_template ${templateError}`);
+      }
     }
 
     const isValid = missingFields.length === 0 && invalidFields.length === 0;
@@ -59,6 +71,29 @@ export class JobValidator {
     return result;
   }
 
+  /**
+   * Check a job's own key template before rendering
+   * Renders the key the way the upload will, so job column values that sanitize
+   * to nothing (blank, '..') fail here instead of after the render
+   * @param {Object} job - Job with output_key_template set
+   * @returns {string|null} Problem description or null if the template is usable
+   */
+  validateKeyTemplate(job) {
+    try {
+      KeyTemplate.validate(job.output_key_template);
+    } catch (error) {
+      return `is invalid: ${error.message}`;
+    }
+
+    try {
+      this.config.getStorageKey({ job, channelId: job.channel_id, videoId: job.id });
+    } catch (error) {
+      return `cannot be rendered: ${error.message}`;
+    }
+
+    return null;
+  }
+
   /**
    * Validate URL format
    * @param {string} url - URL to validate
@@ -111,9 +146,9 @@ export class JobValidator {
     };
 
     try {
-      // Basic URL validation (could be extended to check accessibility)
-      results.videoUrlValid = this.isValidUrl(job.input_video_url);
-      results.audioUrlValid = this.isValidUrl(job.soundtrack_url);
+      // Basic source validation (could be extended to check accessibility)
+      results.videoUrlValid = !!job.input_video_url && !this.sourceResolver.validate(job.input_video_url);
+      results.audioUrlValid = !!job.soundtrack_url && !this.sourceResolver.validate(job.soundtrack_url);
 
       if (!results.videoUrlValid) {
         results.errors.push('Video URL is invalid');
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+
+process.env.JOB_BACKEND = 'file';
+process.env.STORAGE_BACKEND = 'local';
+
+const { default: MediaDownloader } = await import('../src/downloader.js');
+const { logger } = await import('../src/logger.js');
+
+logger.configure({ level: 'silent' });
+
+// Enough of an MP4 header for the magic byte sniffer
+const body = Buffer.alloc(64 * 1024, 7);
+body.write('ftypisom', 4);
+
+/**
+ * Serves `body` with a strong ETag and Range support; the first plain GET is cut off after 1000 bytes
+ */
+async function startServer() {
+  const ranges = [];
+  const server = http.createServer((req, res) => {
+    ranges.push(req.headers.range || null);
+    const headers = { 'Content-Type': 'video/mp4', ETag: '"v1"', 'Accept-Ranges': 'bytes' };
+    const start = Number((/^bytes=(\d+)-$/.exec(req.headers.range || '') || [])[1] || 0);
+
+    if (start > 0) {
+      res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`, 'Content-Length': body.length - start });
+      res.end(body.subarray(start));
+    } else if (ranges.length === 1) {
+      res.writeHead(200, { ...headers, 'Content-Length': body.length });
+      res.write(body.subarray(0, 1000));
+      setTimeout(() => res.destroy(), 50);
+    } else {
+      res.writeHead(200, { ...headers, 'Content-Length': body.length });
+      res.end(body);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, ranges, url: `http://127.0.0.1:${server.address().port}/video.mp4` };
+}
+
+async function withDownloader(fn) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'downloader-'));
+  try {
+    await fn(new MediaDownloader(tempDir, { timeout: 5000, userAgent: 'test', retries: 1 }), tempDir);
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+test('a later call for the same job resumes the partial file of a failed one', async () => {
+  const { server, ranges, url } = await startServer();
+
+  try {
+    await withDownloader(async (downloader, tempDir) => {
+      await assert.rejects(downloader.downloadWithRetry(url, 'video', 1, { jobId: 7 }));
+      assert.equal((await fs.readdir(tempDir)).filter(name => name.endsWith('.part')).length, 1);
+
+      const filePath = await downloader.downloadWithRetry(url, 'video', 1, { jobId: 7 });
+
+      assert.deepEqual(ranges, [null, 'bytes=1000-']);
+      assert.deepEqual(await fs.readFile(filePath), body);
+      assert.deepEqual(await fs.readdir(tempDir), [path.basename(filePath)]);
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('without a job ID a failed call leaves no partial file behind', async () => {
+  const { server, url } = await startServer();
+
+  try {
+    await withDownloader(async (downloader, tempDir) => {
+      await assert.rejects(downloader.downloadWithRetry(url, 'video', 1));
+      assert.deepEqual(await fs.readdir(tempDir), []);
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('stale partial files are swept, recent ones kept', async () => {
+  await withDownloader(async (downloader, tempDir) => {
+    const stale = downloader.getPartPath('https://example.com/a.mp4', 'video', 1);
+    const recent = downloader.getPartPath('https://example.com/b.mp4', 'video', 2);
+    for (const partPath of [stale, recent]) {
+      await fs.writeFile(partPath, 'partial');
+      await fs.writeJson(`${partPath}.json`, {});
+    }
+    const hourAgo = new Date(Date.now() - 3600000);
+    await fs.utimes(stale, hourAgo, hourAgo);
+
+    assert.equal(await downloader.removeStalePartials(60000), 1);
+    assert.deepEqual((await fs.readdir(tempDir)).sort(), [path.basename(recent), `${path.basename(recent)}.json`].sort());
+  });
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JOB_BACKEND = 'file';
+process.env.STORAGE_BACKEND = 'local';
+
+const { config } = await import('../src/config/Config.js');
+const { JobValidator } = await import('../src/validators/JobValidator.js');
+const { logger } = await import('../src/logger.js');
+
+logger.configure({ level: 'silent' });
+
+const validator = new JobValidator(config);
+
+function jobWith(fields) {
+  return {
+    id: 42,
+    channel_id: 1,
+    length_minutes: 60,
+    input_video_url: 'https://example.com/video.mp4',
+    soundtrack_url: 'https://example.com/audio.wav',
+    output_key_template: 'renders/{job.youtube_title}/{videoId}.{ext}',
+    ...fields
+  };
+}
+
+test('accepts a key template whose columns render to a key', () => {
+  const result = validator.validateJobData(jobWith({ youtube_title: 'Deep Focus' }));
+  assert.equal(result.isValid, true);
+});
+
+test('rejects a key template column that is missing', () => {
+  const result = validator.validateJobData(jobWith({}));
+  assert.equal(result.isValid, false);
+  assert.match(result.invalidFields[0], /^output_key_template cannot be rendered: .*\{job\.youtube_title\} has no value/);
+});
+
+test('rejects a key template column that sanitizes to nothing', () => {
+  for (const youtube_title of ['..', '   ']) {
+    const result = validator.validateJobData(jobWith({ youtube_title }));
+    assert.equal(result.isValid, false, `"${youtube_title}" should be rejected`);
+    assert.match(result.invalidFields[0], /\{job\.youtube_title\} has no value/);
+  }
+});
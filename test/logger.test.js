@@ -0,0 +1,46 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import util from 'node:util';
+import { logger } from '../src/logger.js';
+
+function captureLines(fn) {
+  const log = mock.method(console, 'log', () => {});
+  try {
+    fn();
+    return log.mock.calls.map(call => util.format(...call.arguments));
+  } finally {
+    log.mock.restore();
+  }
+}
+
+afterEach(() => {
+  logger.configure({ level: 'info', format: 'text' });
+});
+
+test('text lines written for a job are prefixed with its ID', () => {
+  logger.configure({ level: 'info', format: 'text' });
+
+  const lines = captureLines(() => {
+    logger.info('outside');
+    logger.runWithContext({ jobId: 123, channelId: 4 }, () => logger.info('rendering'));
+  });
+
+  assert.match(lines[0], /^\[[^\]]+\] \[INFO\] outside$/);
+  assert.match(lines[1], /^\[[^\]]+\] \[INFO\] \[job 123\] rendering$/);
+});
+
+test('JSON entries written for a job carry its context', () => {
+  logger.configure({ level: 'info', format: 'json' });
+
+  const lines = captureLines(() => {
+    logger.info('outside');
+    logger.runWithContext({ jobId: 123, channelId: 4 }, () => logger.info('rendering'));
+  });
+
+  const [outside, rendering] = lines.map(line => JSON.parse(line));
+  assert.equal(outside.jobId, undefined);
+  assert.equal(outside.message, 'outside');
+  assert.equal(rendering.jobId, 123);
+  assert.equal(rendering.channelId, 4);
+  assert.equal(rendering.message, 'rendering');
+});
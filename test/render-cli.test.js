@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fs from 'fs-extra';
+
+const script = fileURLToPath(new URL('../scripts/render.js', import.meta.url));
+
+function run(args, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [script, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('downloads URL inputs without any service credentials in the environment', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'render-cli-'));
+
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const { code, stdout } = await run(
+      ['--video', `${base}/a.mp4`, '--audio', `${base}/b.wav`, '--duration', '1', '--json'],
+      { PATH: process.env.PATH, HOME: tempDir, TEMP_DIR: tempDir, OUTPUT_DIR: tempDir }
+    );
+
+    assert.equal(code, 1);
+    const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+    const error = events.find(event => event.event === 'error');
+    assert.ok(error, 'expected an error event');
+    assert.doesNotMatch(error.message, /environment variable/);
+    assert.match(error.message, /404/);
+  } finally {
+    server.close();
+    await fs.remove(tempDir);
+  }
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JOB_BACKEND = 'file';
+process.env.STORAGE_BACKEND = 'local';
+
+const { VideoRenderWorker } = await import('../src/VideoRenderWorker.js');
+const { logger } = await import('../src/logger.js');
+
+logger.configure({ level: 'silent' });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a job claimed while shutting down is released, not started', async () => {
+  const released = [];
+  const jobManager = {
+    async reclaimStaleJobs() { return []; },
+    async getAndClaimJob() {
+      await sleep(200);
+      return { id: 'job-1', channel_id: 1 };
+    },
+    async releaseJob(jobId, reason) {
+      released.push({ jobId, reason });
+      return true;
+    }
+  };
+  const uploader = { async cleanupOrphanedUploads() { return 0; } };
+
+  const downloader = { async removeStalePartials() { return 0; } };
+  const worker = new VideoRenderWorker({ jobManager, uploader, downloader, processor: {} });
+  const started = [];
+  worker.processJob = async job => { started.push(job.id); };
+
+  const pool = worker.runPool({ exitWhenIdle: false });
+  await sleep(100);
+  await worker.shutdown();
+
+  assert.deepEqual(started, []);
+  assert.deepEqual(released, [{ jobId: 'job-1', reason: 'shutdown' }]);
+  assert.equal(worker.activeJobs.size, 0);
+
+  const stats = await pool;
+  assert.equal(stats.total, 0);
+});